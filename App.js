@@ -15,10 +15,54 @@ import {
   StatusBar,
   Modal,
   Animated,
+  Share,
+  Linking,
 } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Location from "expo-location";
 import * as ImagePicker from "expo-image-picker";
-import { generateEmailDraft, reviseEmailDraft } from "./gemini";
+import MapView, { Marker } from "react-native-maps";
+import { applyManualEdit, isValidEmailFormat } from "./gemini";
+import { generateEmailDraft, refreshContact, reviseEmailDraft, suggestCouncilMember } from "./api";
+import { useMailer } from "./mailer";
+import { prepareImageForModel } from "./image";
+import {
+  createVersionStack,
+  currentVersion,
+  pushVersion,
+  restoreVersion,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  diffDrafts,
+  splitDiff,
+} from "./revisions";
+import {
+  REPORT_STATUSES,
+  loadReports,
+  loadReport,
+  createReport,
+  updateReport,
+  setReportStatus,
+  markReportSent,
+  markReportFiled,
+  deleteReport,
+} from "./history";
+import { findOpen311Service, submitServiceRequest, refreshServiceRequest } from "./open311";
+import { useReportQueue, isDeviceOnline } from "./queue";
+import { checkForDuplicates, buildFollowUpDraft } from "./duplicates";
+import {
+  RateLimitedError,
+  BlockedError,
+  TruncatedError,
+  ParseFailedError,
+  NetworkError,
+  TimeoutError,
+} from "./errors";
+import { JURISDICTION_PROFILES, getProfile, defaultProfile, profileForLocation } from "./jurisdictions";
+import { borderChoices } from "./boundaries";
+import { triageReport, hazardLines, telURL } from "./triage";
 
 // Color palette
 const C = {
@@ -38,21 +82,180 @@ const C = {
   overlay: "rgba(0,0,0,0.5)",
 };
 
+function formatAddress(geo) {
+  return [geo.streetNumber, geo.street, geo.city, geo.region].filter(Boolean).join(", ");
+}
+
+function formatCoords({ latitude, longitude }) {
+  return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  LOCATION PICKER
+// ═══════════════════════════════════════════════════════════════
+function LocationPicker({ visible, initial, region, onCancel, onConfirm }) {
+  // "address" searches for a street address; "landmark" keeps the typed
+  // intersection or landmark name alongside the pin
+  const [mode, setMode] = useState("address");
+  const [query, setQuery] = useState("");
+  const [pin, setPin] = useState(null);
+  const [address, setAddress] = useState("");
+  const [searching, setSearching] = useState(false);
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode(initial?.landmark ? "landmark" : "address");
+    setQuery(initial?.landmark || "");
+    setAddress(initial?.address || "");
+    setPin(typeof initial?.latitude === "number" ? { latitude: initial.latitude, longitude: initial.longitude } : null);
+  }, [visible]);
+
+  const describePin = async (coords) => {
+    try {
+      const [geo] = await Location.reverseGeocodeAsync(coords);
+      setAddress(geo ? formatAddress(geo) : formatCoords(coords));
+    } catch {
+      setAddress(formatCoords(coords));
+    }
+  };
+
+  const movePin = (coords, { describe = true } = {}) => {
+    setPin(coords);
+    if (describe) describePin(coords);
+    mapRef.current?.animateToRegion({ ...coords, latitudeDelta: 0.004, longitudeDelta: 0.004 });
+  };
+
+  const search = async () => {
+    if (!query.trim()) return;
+    setSearching(true);
+    try {
+      const [result] = await Location.geocodeAsync(query.trim());
+      if (!result) {
+        Alert.alert(
+          "Not found",
+          mode === "landmark"
+            ? "We couldn't place that on the map. Drop the pin yourself; the name you typed is kept."
+            : "We couldn't find that address. Try adding the city, or drop the pin on the map."
+        );
+      } else {
+        const coords = { latitude: result.latitude, longitude: result.longitude };
+        // A typed street address is more precise than its reverse geocode
+        if (mode === "address") setAddress(query.trim());
+        movePin(coords, { describe: mode === "landmark" });
+      }
+    } catch (e) {
+      Alert.alert("Search Error", e.message);
+    }
+    setSearching(false);
+  };
+
+  const landmark = mode === "landmark" ? query.trim() : "";
+  const canConfirm = !!pin || !!landmark || !!address.trim();
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.container}>
+        <View style={styles.pickerHeader}>
+          <TouchableOpacity onPress={onCancel}>
+            <Text style={styles.backBtnText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.pickerTitle}>Where is the issue?</Text>
+          <TouchableOpacity
+            disabled={!canConfirm}
+            onPress={() =>
+              onConfirm({
+                ...(pin || {}),
+                address: address.trim() || null,
+                landmark: landmark || null,
+                source: "map",
+              })
+            }
+          >
+            <Text style={[styles.backBtnText, !canConfirm && { color: C.textLight }]}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.pickerSearch}>
+          <View style={styles.statusChips}>
+            {[
+              ["address", "Street address"],
+              ["landmark", "Intersection / landmark"],
+            ].map(([value, label]) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.statusChip, mode === value && styles.statusChipActive]}
+                onPress={() => setMode(value)}
+              >
+                <Text style={[styles.statusChipText, mode === value && styles.statusChipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.pickerSearchRow}>
+            <TextInput
+              style={styles.pickerInput}
+              placeholder={mode === "landmark" ? 'e.g. "Main St & 2nd Ave" or "Mitchell Park"' : "Search for an address"}
+              placeholderTextColor={C.textLight}
+              value={query}
+              onChangeText={setQuery}
+              onSubmitEditing={search}
+              returnKeyType="search"
+            />
+            <TouchableOpacity style={styles.pickerSearchBtn} onPress={search} disabled={searching}>
+              {searching ? (
+                <ActivityIndicator size="small" color={C.white} />
+              ) : (
+                <Text style={styles.pickerSearchBtnText}>Find</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <MapView
+          ref={mapRef}
+          style={{ flex: 1 }}
+          initialRegion={pin ? { ...pin, latitudeDelta: 0.004, longitudeDelta: 0.004 } : region}
+          onPress={(e) => movePin(e.nativeEvent.coordinate)}
+          showsUserLocation
+        >
+          {pin && <Marker coordinate={pin} draggable onDragEnd={(e) => movePin(e.nativeEvent.coordinate)} />}
+        </MapView>
+
+        <View style={styles.pickerFooter}>
+          <Text style={styles.emailFieldLabel}>Street address</Text>
+          <TextInput
+            style={styles.pickerInput}
+            placeholder={pin ? "Looking up the address..." : "Tap the map or drag the pin"}
+            placeholderTextColor={C.textLight}
+            value={address}
+            onChangeText={setAddress}
+          />
+          {pin && <Text style={styles.pickerCoords}>{formatCoords(pin)}</Text>}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 //  REPORT SCREEN
 // ═══════════════════════════════════════════════════════════════
-function ReportScreen({ onSubmit }) {
+function ReportScreen({ onSubmit, queue, region, onLocated }) {
   const [description, setDescription] = useState("");
   const [useLocation, setUseLocation] = useState(false);
   const [location, setLocation] = useState(null);
   const [locationText, setLocationText] = useState("");
   const [photo, setPhoto] = useState(null);
   const [loadingLocation, setLoadingLocation] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
 
   useEffect(() => {
     if (!useLocation) {
-      setLocation(null);
-      setLocationText("");
+      // A point chosen on the map stays when GPS is switched off
+      if (location?.source !== "map") {
+        setLocation(null);
+        setLocationText("");
+      }
       return;
     }
     (async () => {
@@ -66,17 +269,12 @@ function ReportScreen({ onSubmit }) {
           return;
         }
         const loc = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
-        setLocation({ latitude: loc.coords.latitude, longitude: loc.coords.longitude });
-        const [geo] = await Location.reverseGeocodeAsync({
-          latitude: loc.coords.latitude,
-          longitude: loc.coords.longitude,
-        });
-        if (geo) {
-          const parts = [geo.streetNumber, geo.street, geo.city, geo.region].filter(Boolean);
-          setLocationText(parts.join(", "));
-        } else {
-          setLocationText(`${loc.coords.latitude.toFixed(4)}, ${loc.coords.longitude.toFixed(4)}`);
-        }
+        const coords = { latitude: loc.coords.latitude, longitude: loc.coords.longitude };
+        const [geo] = await Location.reverseGeocodeAsync(coords);
+        const address = geo ? formatAddress(geo) : null;
+        setLocation({ ...coords, address, source: "gps" });
+        setLocationText(address || formatCoords(coords));
+        onLocated(coords);
       } catch (e) {
         Alert.alert("Location Error", e.message);
         setUseLocation(false);
@@ -85,6 +283,22 @@ function ReportScreen({ onSubmit }) {
     })();
   }, [useLocation]);
 
+  const handlePickedLocation = (picked) => {
+    setShowPicker(false);
+    setUseLocation(false);
+    setLocation(picked);
+    onLocated(picked);
+    setLocationText(
+      [picked.landmark, picked.address].filter(Boolean).join(" — ") ||
+        (typeof picked.latitude === "number" ? formatCoords(picked) : "")
+    );
+  };
+
+  const clearPickedLocation = () => {
+    setLocation(null);
+    setLocationText("");
+  };
+
   const pickImage = async () => {
     const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
     if (status !== "granted") {
@@ -109,9 +323,11 @@ function ReportScreen({ onSubmit }) {
     if (!result.canceled) setPhoto(result.assets[0].uri);
   };
 
+  const canSubmit = !!description.trim() || !!photo;
+
   const handleSubmit = () => {
-    if (!description.trim()) {
-      Alert.alert("Missing Description", "Please describe the issue you'd like to report.");
+    if (!canSubmit) {
+      Alert.alert("Missing Description", "Please describe the issue or attach a photo of it.");
       return;
     }
     onSubmit({ description: description.trim(), location, photo });
@@ -124,6 +340,13 @@ function ReportScreen({ onSubmit }) {
         <Text style={styles.headerSubtitle}>Describe the problem and we'll route it to the right department</Text>
       </View>
 
+      {!queue.online && (
+        <View style={styles.offlineBanner}>
+          <Text style={styles.offlineBannerText}>You're offline. New reports are saved and drafted when you reconnect.</Text>
+        </View>
+      )}
+      {queue.items.length > 0 && <QueueCard queue={queue} />}
+
       {/* Description */}
       <View style={styles.card}>
         <Text style={styles.label}>What's the issue?</Text>
@@ -164,11 +387,32 @@ function ReportScreen({ onSubmit }) {
             <Text style={styles.locationBadgeText}>{locationText}</Text>
           </View>
         ) : null}
+        <View style={styles.locationLinks}>
+          <TouchableOpacity onPress={() => setShowPicker(true)}>
+            <Text style={styles.queueActionText}>
+              {location?.source === "map" ? "🗺️ Change on map" : "🗺️ Pick on map or search an address"}
+            </Text>
+          </TouchableOpacity>
+          {location?.source === "map" && (
+            <TouchableOpacity onPress={clearPickedLocation}>
+              <Text style={[styles.queueActionText, { color: C.textSecondary }]}>Clear</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
 
+      <LocationPicker
+        visible={showPicker}
+        initial={location}
+        region={region}
+        onCancel={() => setShowPicker(false)}
+        onConfirm={handlePickedLocation}
+      />
+
       {/* Photo */}
       <View style={styles.card}>
-        <Text style={styles.label}>Add a photo (optional)</Text>
+        <Text style={styles.label}>Add a photo</Text>
+        <Text style={styles.photoHint}>A clear photo helps us identify the issue. With a photo, a short description is enough.</Text>
         <View style={styles.photoButtons}>
           <TouchableOpacity style={styles.photoBtn} onPress={takePhoto}>
             <Text style={{ fontSize: 18 }}>📷</Text>
@@ -191,7 +435,7 @@ function ReportScreen({ onSubmit }) {
 
       {/* Submit */}
       <TouchableOpacity
-        style={[styles.submitBtn, !description.trim() && styles.btnDisabled]}
+        style={[styles.submitBtn, !canSubmit && styles.btnDisabled]}
         onPress={handleSubmit}
         activeOpacity={0.8}
       >
@@ -202,15 +446,675 @@ function ReportScreen({ onSubmit }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+//  OFFLINE QUEUE
+// ═══════════════════════════════════════════════════════════════
+function QueueCard({ queue }) {
+  const statusText = (item) => {
+    if (item.status === "processing") return "Drafting…";
+    if (item.status === "failed") return `Failed: ${item.last_error}`;
+    return queue.online ? "Waiting to be drafted" : "Waiting for a connection";
+  };
+
+  const showQueueError = (e) => Alert.alert("Error", e.message);
+
+  const confirmCancel = (item) => {
+    Alert.alert("Cancel this report?", "It will be removed along with its photo.", [
+      { text: "Keep", style: "cancel" },
+      { text: "Cancel Report", style: "destructive", onPress: () => queue.cancel(item.id).catch(showQueueError) },
+    ]);
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>Saved for later</Text>
+      {queue.items.map((item) => (
+        <View key={item.id} style={styles.queueRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.queueDescription} numberOfLines={2}>
+              {item.description || "📷 Photo report"}
+            </Text>
+            <Text style={[styles.queueStatus, item.status === "failed" && styles.queueStatusFailed]} numberOfLines={2}>
+              {statusText(item)}
+            </Text>
+          </View>
+          {item.status === "processing" ? (
+            <ActivityIndicator size="small" color={C.primary} />
+          ) : (
+            <View style={styles.queueActions}>
+              {(item.status === "failed" || queue.online) && (
+                <TouchableOpacity onPress={() => queue.retry(item.id).catch(showQueueError)}>
+                  <Text style={styles.queueActionText}>Retry</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => confirmCancel(item)}>
+                <Text style={[styles.queueActionText, { color: C.error }]}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EMERGENCY SCREEN
+// ═══════════════════════════════════════════════════════════════
+function callLine(line) {
+  Linking.openURL(telURL(line.phone)).catch(() =>
+    Alert.alert("Can't place the call", `Call ${line.name} at ${line.phone}.`)
+  );
+}
+
+// Where a profile number was checked, e.g. "Utilities | City of Palo Alto, checked 2026-10-01"
+function lineSource(line) {
+  return `${line.source_title || line.source_url}, checked ${line.last_verified}`;
+}
+
+function PhoneLines({ lines }) {
+  return lines.map((line) => (
+    <TouchableOpacity
+      key={line.id}
+      style={[styles.phoneLine, line.id === "emergency" && styles.phoneLineEmergency]}
+      onPress={() => callLine(line)}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.phoneLineName, line.id === "emergency" && styles.phoneLineEmergencyText]}>
+        📞 Call {line.id === "emergency" ? line.phone : line.name}
+      </Text>
+      {line.id !== "emergency" && <Text style={styles.phoneLineNumber}>{line.phone}</Text>}
+      {line.source_url && <Text style={styles.phoneLineNumber}>Source: {lineSource(line)}</Text>}
+    </TouchableOpacity>
+  ));
+}
+
+function EmergencyScreen({ triage, lines, onDraftAnyway, onCancel }) {
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.screenContent}>
+      <View style={styles.emailHeader}>
+        <Text style={styles.headerTitle}>This may be an emergency</Text>
+        <Text style={styles.headerSubtitle}>
+          Your report mentions {triage.reasons.join(", ")}. An email can sit unread for days, so call now if anyone
+          could be in danger.
+        </Text>
+      </View>
+
+      <PhoneLines lines={lines} />
+
+      <TouchableOpacity style={styles.sentLink} onPress={onDraftAnyway}>
+        <Text style={styles.sentLinkText}>It's not an emergency. Draft an email instead</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.sentLink} onPress={onCancel}>
+        <Text style={styles.sentLinkText}>Cancel</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// Shown on drafts triaged as urgent (or sent on after an emergency warning)
+function UrgencyCard({ triage, profileId }) {
+  if (!triage || triage.level === "routine") return null;
+  const lines = hazardLines(triage, getProfile(profileId)).filter((line) => line.id !== "emergency");
+  return (
+    <View style={[styles.jurisdictionCard, styles.jurisdictionCardWarning]}>
+      <Text style={styles.jurisdictionWarning}>
+        ⚠️ Possible hazard: {triage.reasons.join(", ")}. The email asks for prompt attention
+        {lines.length ? ", but a phone call is faster:" : "."}
+      </Text>
+      {lines.map((line) => (
+        <TouchableOpacity key={line.id} onPress={() => callLine(line)}>
+          <Text style={styles.urgencyLine}>
+            📞 {line.name}: {line.phone} (source: {lineSource(line)})
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  DUPLICATES SCREEN
+// ═══════════════════════════════════════════════════════════════
+function DuplicatesScreen({ matches, onFollowUp, onOpen, onDraftAnyway, onCancel }) {
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.screenContent}>
+      <View style={styles.emailHeader}>
+        <Text style={styles.headerTitle}>Already reported?</Text>
+        <Text style={styles.headerSubtitle}>
+          These look like the same issue. Following up on an open report usually gets a faster response than a new one.
+        </Text>
+      </View>
+
+      {matches.map((match) => {
+        if (match.kind === "service_request") {
+          const { request } = match;
+          return (
+            <View key={`sr-${request.service_request_id}`} style={styles.card}>
+              <Text style={styles.historyDate}>
+                City service request #{request.service_request_id} · {request.status} since{" "}
+                {new Date(request.requested_datetime).toLocaleDateString()}
+              </Text>
+              <Text style={styles.historyDescription} numberOfLines={3}>
+                {request.description || request.service_name}
+              </Text>
+              <Text style={styles.historyMeta}>{match.reasons.join(" · ")}</Text>
+              <View style={styles.emailActions}>
+                <TouchableOpacity style={styles.editBtn} onPress={() => onDraftAnyway(request)}>
+                  <Text style={styles.editBtnText}>+1: Report it's still unresolved</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        }
+
+        const { report } = match;
+        const statusColor = STATUS_COLORS[report.status] || STATUS_COLORS.draft;
+        return (
+          <View key={report.id} style={styles.card}>
+            <View style={styles.row}>
+              <Text style={styles.historyDate}>Your report · {new Date(report.created_at).toLocaleDateString()}</Text>
+              <Text style={[styles.statusPill, { backgroundColor: statusColor.bg, color: statusColor.text }]}>
+                {STATUS_LABELS[report.status]}
+              </Text>
+            </View>
+            <Text style={styles.historyDescription} numberOfLines={3}>
+              {report.description || "Photo report"}
+            </Text>
+            <Text style={styles.historyMeta}>{match.reasons.join(" · ")}</Text>
+            <View style={styles.emailActions}>
+              {report.status === "draft" ? (
+                <TouchableOpacity style={styles.editBtn} onPress={() => onOpen(report)}>
+                  <Text style={styles.editBtnText}>Open that draft</Text>
+                </TouchableOpacity>
+              ) : (
+                <TouchableOpacity style={styles.editBtn} onPress={() => onFollowUp(report)}>
+                  <Text style={styles.editBtnText}>Send a "still unresolved" follow-up</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        );
+      })}
+
+      <TouchableOpacity style={styles.submitBtn} onPress={() => onDraftAnyway()} activeOpacity={0.8}>
+        <Text style={styles.submitBtnText}>It's a different issue. Draft a new report</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.sentLink} onPress={onCancel}>
+        <Text style={styles.sentLinkText}>Don't report</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  MODEL ERRORS
+// ═══════════════════════════════════════════════════════════════
+// Alert title and message for a failed model call, by errors.js type
+function modelErrorText(e, action) {
+  if (e instanceof RateLimitedError) {
+    const wait = e.retryAfterMs ? `in about ${Math.max(1, Math.ceil(e.retryAfterMs / 60000))} min` : "in a minute";
+    return ["Service busy", `The AI service is getting too many requests. Try again ${wait}.`];
+  }
+  if (e instanceof BlockedError) {
+    const reason = e.reason ? ` (${e.reason})` : "";
+    return ["Request declined", `The AI service declined to ${action}${reason}. Try rewording the report.`];
+  }
+  if (e instanceof TruncatedError) {
+    return ["Response cut off", "The AI service's answer kept getting cut off. Try a shorter description."];
+  }
+  if (e instanceof ParseFailedError) {
+    return ["Unreadable response", "The AI service's answer couldn't be read. Please try again."];
+  }
+  if (e instanceof TimeoutError) {
+    return ["Taking too long", `It took too long to ${action}. Check your connection and try again.`];
+  }
+  if (e instanceof NetworkError) {
+    return ["Connection problem", `Couldn't reach the AI service to ${action}. Check your connection and try again.`];
+  }
+  return ["Error", `Failed to ${action}:\n\n${e.message}`];
+}
+
 // ═══════════════════════════════════════════════════════════════
 //  LOADING SCREEN
 // ═══════════════════════════════════════════════════════════════
-function LoadingScreen() {
+function LoadingScreen({ progress, onCancel }) {
+  const steps = progress?.steps || [];
+  const draftText = progress?.draftText || "";
+
   return (
-    <View style={styles.centerScreen}>
+    <ScrollView contentContainerStyle={styles.loadingScreen}>
       <ActivityIndicator size="large" color={C.primary} />
       <Text style={styles.loadingTitle}>Routing your report...</Text>
-      <Text style={styles.loadingSubtitle}>Finding the right department and drafting an email</Text>
+      <Text style={styles.loadingSubtitle}>
+        {steps.length ? "Finding the right department and drafting an email" : "Checking for earlier reports of this issue"}
+      </Text>
+
+      {steps.length > 0 && (
+        <View style={styles.loadingSteps}>
+          {steps.map((step) => (
+            <View key={step.name} style={styles.loadingStep}>
+              <Text style={[styles.traceStatus, (step.status === "rejected" || step.status === "failed") && styles.traceStatusBad]}>
+                {TRACE_STATUS_ICONS[step.status] || "•"}
+              </Text>
+              <Text style={[styles.traceLabel, step.status === "running" && styles.loadingStepRunning]}>{step.label}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {draftText ? (
+        <View style={styles.loadingDraft}>
+          <Text style={styles.suggestionLabel}>Drafting</Text>
+          <Text style={styles.loadingDraftText}>{draftText}</Text>
+        </View>
+      ) : null}
+
+      <TouchableOpacity style={styles.sentLink} onPress={onCancel}>
+        <Text style={styles.sentLinkText}>Cancel</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  VERSION HISTORY
+// ═══════════════════════════════════════════════════════════════
+function DiffText({ segments, style }) {
+  return (
+    <Text style={style}>
+      {segments.map((segment, i) => (
+        <Text
+          key={i}
+          style={segment.type === "added" ? styles.diffAdded : segment.type === "removed" ? styles.diffRemoved : null}
+        >
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+}
+
+const DIFF_FIELDS = [
+  ["to", "To", "diffField"],
+  ["subject", "Subject", "diffField"],
+  ["body", "Body", "diffBody"],
+];
+
+// The two versions in columns: removed text marked on the left, added text on the right
+function SideBySideDiff({ diff, fromVersion, toVersion }) {
+  return (
+    <View style={styles.diffCard}>
+      <View style={styles.diffRow}>
+        <Text style={[styles.diffTitle, styles.diffColumn]}>Before (v{fromVersion.id + 1})</Text>
+        <Text style={[styles.diffTitle, styles.diffColumn]}>After (v{toVersion.id + 1})</Text>
+      </View>
+      {DIFF_FIELDS.map(([field, label, style]) => {
+        const { before, after } = splitDiff(diff[field]);
+        return (
+          <View key={field}>
+            <Text style={styles.diffLabel}>{label}</Text>
+            <View style={styles.diffRow}>
+              <DiffText segments={before} style={[styles[style], styles.diffColumn]} />
+              <DiffText segments={after} style={[styles[style], styles.diffColumn]} />
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+function VersionHistory({ versions, onRestore }) {
+  // Up to two selected version ids; with one selected it is compared to the current version
+  const [selected, setSelected] = useState([]);
+  const current = currentVersion(versions);
+
+  useEffect(() => {
+    setSelected([]);
+  }, [current.id]);
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2)));
+  };
+
+  const compareIds = selected.length === 1 ? [selected[0], current.id] : [...selected].sort((a, b) => a - b);
+  const [fromVersion, toVersion] = compareIds.map((id) => versions.versions[id]);
+  const diff = selected.length && fromVersion.id !== toVersion.id ? diffDrafts(fromVersion.draft, toVersion.draft) : null;
+  const restoreId = selected.length === 1 ? selected[0] : null;
+
+  return (
+    <View style={styles.versionCard}>
+      <Text style={styles.suggestionLabel}>Versions</Text>
+      <Text style={styles.versionHint}>Tap a version to compare it with the current draft, or tap two to compare them.</Text>
+      {[...versions.versions].reverse().map((v) => (
+        <TouchableOpacity
+          key={v.id}
+          style={[styles.versionRow, selected.includes(v.id) && styles.versionRowSelected]}
+          onPress={() => toggle(v.id)}
+        >
+          <Text style={styles.versionNumber}>v{v.id + 1}</Text>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.versionLabel} numberOfLines={1}>
+              {v.source === "ai" ? `✨ "${v.label}"` : v.label}
+            </Text>
+            <Text style={styles.versionTime}>{new Date(v.created_at).toLocaleTimeString()}</Text>
+          </View>
+          {v.id === current.id && <Text style={styles.versionCurrent}>Current</Text>}
+        </TouchableOpacity>
+      ))}
+
+      {diff && <SideBySideDiff diff={diff} fromVersion={fromVersion} toVersion={toVersion} />}
+
+      {restoreId !== null && restoreId !== current.id && (
+        <TouchableOpacity style={styles.applySuggestionBtn} onPress={() => onRestore(restoreId)}>
+          <Text style={styles.applySuggestionText}>Use v{restoreId + 1}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  ROUTING TRACE
+// ═══════════════════════════════════════════════════════════════
+const TRACE_STATUS_ICONS = {
+  ok: "✓",
+  hit: "✓",
+  miss: "–",
+  rejected: "✗",
+  skipped: "–",
+  failed: "⚠️",
+  cancelled: "⊘",
+  running: "…",
+};
+
+function shareTrace(trace) {
+  return Share.share({ message: JSON.stringify(trace, null, 2) }).catch((e) =>
+    Alert.alert("Error", `Failed to export the routing trace:\n\n${e.message}`)
+  );
+}
+
+function TraceStep({ step }) {
+  const [expanded, setExpanded] = useState(false);
+  const retries = step.calls.filter((call) => call.retry_reason);
+
+  return (
+    <View style={styles.traceStep}>
+      <TouchableOpacity style={styles.traceStepRow} onPress={() => setExpanded(!expanded)}>
+        <Text style={[styles.traceStatus, (step.status === "rejected" || step.status === "failed") && styles.traceStatusBad]}>
+          {TRACE_STATUS_ICONS[step.status] || "•"}
+        </Text>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.traceLabel}>{step.label}</Text>
+          {step.validation?.reason && <Text style={styles.traceReason}>Rejected: {step.validation.reason}</Text>}
+          {step.validation?.relevance && !step.validation.reason && (
+            <Text style={styles.traceMeta}>
+              Relevance {step.validation.relevance.score}: {step.validation.relevance.reasons.join("; ") || "no rules matched"}
+            </Text>
+          )}
+          {step.source_check && (
+            <Text style={styles.traceMeta}>
+              Source page: {step.source_check.status.replace("_", " ")} ({step.source_check.reason})
+            </Text>
+          )}
+          {step.error && <Text style={styles.traceReason}>{step.error}</Text>}
+          {retries.length > 0 && (
+            <Text style={styles.traceMeta}>
+              Retried {retries.length}× ({retries.map((call) => call.retry_reason).join(", ")})
+            </Text>
+          )}
+        </View>
+        <Text style={styles.traceMeta}>{step.latency_ms ?? "–"} ms</Text>
+      </TouchableOpacity>
+
+      {expanded &&
+        (step.calls.length === 0 ? (
+          <Text style={styles.traceDetail}>{step.result ? JSON.stringify(step.result, null, 2) : "No model call."}</Text>
+        ) : (
+          step.calls.map((call, i) => (
+            <View key={i} style={styles.traceCall}>
+              <Text style={styles.traceMeta}>
+                Attempt {call.attempt} · {call.provider}
+                {call.use_search ? " · search" : ""}
+                {call.images ? ` · ${call.images} image(s)` : ""} · {call.latency_ms ?? "–"} ms
+              </Text>
+              <Text style={styles.traceHeading}>Prompt</Text>
+              <Text style={styles.traceDetail}>{call.prompt}</Text>
+              {call.raw !== undefined && (
+                <>
+                  <Text style={styles.traceHeading}>Raw response</Text>
+                  <Text style={styles.traceDetail}>{call.raw}</Text>
+                </>
+              )}
+              {call.parsed !== undefined && (
+                <>
+                  <Text style={styles.traceHeading}>Parsed</Text>
+                  <Text style={styles.traceDetail}>{JSON.stringify(call.parsed, null, 2)}</Text>
+                </>
+              )}
+              {call.error && <Text style={styles.traceReason}>{call.error}</Text>}
+            </View>
+          ))
+        ))}
+    </View>
+  );
+}
+
+function RoutingTracePanel({ trace }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <View style={styles.versionCard}>
+      <TouchableOpacity style={styles.traceHeader} onPress={() => setOpen(!open)}>
+        <Text style={styles.suggestionLabel}>How we routed this</Text>
+        <Text style={styles.traceMeta}>{open ? "Hide" : `${trace.steps.length} steps · ${trace.total_ms} ms`}</Text>
+      </TouchableOpacity>
+      {open && (
+        <>
+          <Text style={styles.versionHint}>Tap a step to see the prompt and the model's response.</Text>
+          {trace.steps.map((step, i) => (
+            <TraceStep key={i} step={step} />
+          ))}
+          <TouchableOpacity style={styles.applySuggestionBtn} onPress={() => shareTrace(trace)}>
+            <Text style={styles.applySuggestionText}>Export JSON</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  JURISDICTION
+// ═══════════════════════════════════════════════════════════════
+const JURISDICTION_SOURCES = {
+  boundary: "Matched bundled city/county boundaries",
+  user: "Chosen by you (close to a border)",
+  geocode: "AI reverse geocode",
+  description: "From your description",
+};
+
+function JurisdictionCard({ info, topic }) {
+  if (!info) return null;
+
+  if (info.source === "default") {
+    return (
+      <View style={[styles.jurisdictionCard, styles.jurisdictionCardWarning]}>
+        <Text style={styles.jurisdictionWarning}>
+          ⚠️ We couldn't tell where this is; assumed {info.jurisdiction}. Pick the location on the map and try again.
+        </Text>
+      </View>
+    );
+  }
+
+  const kind = info.kind === "county" ? "unincorporated county" : info.kind;
+  const topicLower = (topic || "").toLowerCase();
+  return (
+    <View style={styles.jurisdictionCard}>
+      <Text style={styles.jurisdictionName}>
+        📍 {info.jurisdiction}
+        {kind ? ` · ${kind}` : ""}
+      </Text>
+      {info.county && info.kind !== "county" && <Text style={styles.jurisdictionDetail}>{info.county}</Text>}
+      {(info.special_districts || []).map((d) => {
+        const handles = d.topics.some((t) => topicLower.includes(t) || t.includes(topicLower));
+        return (
+          <Text key={d.name} style={[styles.jurisdictionDetail, handles && styles.jurisdictionDistrictMatch]}>
+            District: {d.name}
+            {handles ? " (may handle this issue)" : ""}
+          </Text>
+        );
+      })}
+      {info.near_border && (
+        <Text style={styles.jurisdictionWarning}>
+          ⚠️ This spot is close to {info.alternatives.join(" and ")}, and our city outlines are approximate there.
+          Check the recipient.
+        </Text>
+      )}
+      <Text style={styles.routingSource}>{JURISDICTION_SOURCES[info.source] || info.source}</Text>
+    </View>
+  );
+}
+
+// Asked before routing a report whose location is too close to a border for the bundled outlines
+function BorderPrompt({ prompt, onSelect, onClose }) {
+  return (
+    <Modal transparent visible={!!prompt} animationType="fade" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <View style={[styles.modalCard, styles.cityCard]}>
+          <Text style={styles.cityTitle}>Which side of the line?</Text>
+          <Text style={styles.cityHint}>
+            This spot is close to a city or county border, so we can't tell for sure who looks after it.
+          </Text>
+          {prompt?.choices.map((choice) => (
+            <TouchableOpacity key={choice.jurisdiction} style={styles.cityOption} onPress={() => onSelect(choice)}>
+              <Text style={styles.cityOptionText}>
+                {choice.kind === "county" ? `Unincorporated ${choice.jurisdiction}` : choice.jurisdiction}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  RECIPIENTS
+// ═══════════════════════════════════════════════════════════════
+const CANDIDATE_LABELS = {
+  DIRECTORY: "City directory",
+  TOPIC_SPECIFIC: "Topic-specific",
+  AGENCY_MAIN: "Department",
+  JURISDICTION_GENERAL: "General city contact",
+  COUNCIL: "Council",
+  UNVERIFIED_GUESS: "Unverified",
+};
+
+function RecipientsCard({ to, cc, bcc, candidates, onChange, onSuggestCouncil, findingCouncil }) {
+  const [newAddress, setNewAddress] = useState("");
+  const same = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+  const without = (list, email) => list.filter((e) => !same(e, email));
+
+  const assign = (email, role) => {
+    const next = { to, cc: without(cc, email), bcc: without(bcc, email) };
+    if (role === "to") next.to = email;
+    if (role === "cc") next.cc = [...next.cc, email];
+    if (role === "bcc") next.bcc = [...next.bcc, email];
+    onChange(next);
+  };
+
+  const addTyped = (role) => {
+    const email = newAddress.trim();
+    if (!isValidEmailFormat(email)) {
+      Alert.alert("Invalid address", `"${email}" doesn't look like an email address.`);
+      return;
+    }
+    assign(email, role);
+    setNewAddress("");
+  };
+
+  const assigned = [to, ...cc, ...bcc];
+  const suggestions = (candidates || []).filter((c) => c.email && !assigned.some((e) => same(e, c.email)));
+
+  const chips = (label, list) =>
+    list.length > 0 && (
+      <View style={styles.recipientRow}>
+        <Text style={styles.recipientRole}>{label}</Text>
+        <View style={styles.recipientChips}>
+          {list.map((email) => (
+            <TouchableOpacity
+              key={email}
+              style={styles.recipientChip}
+              onPress={() => onChange({ to, cc: without(cc, email), bcc: without(bcc, email) })}
+            >
+              <Text style={styles.recipientChipText}>{email} ✕</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    );
+
+  return (
+    <View style={styles.versionCard}>
+      <Text style={styles.suggestionLabel}>Recipients</Text>
+      {chips("CC", cc)}
+      {chips("BCC", bcc)}
+
+      {suggestions.length > 0 && (
+        <>
+          <Text style={styles.versionHint}>Runners-up for this report, best match first</Text>
+          {suggestions.map((c) => (
+            <View key={c.email} style={styles.candidateRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.versionLabel} numberOfLines={1}>
+                  {c.agency_name || c.email}
+                </Text>
+                <Text style={styles.versionTime} numberOfLines={1}>
+                  {c.email} · {CANDIDATE_LABELS[c.fallback_level] || c.fallback_level}
+                  {c.rank ? ` · ${Math.round(c.rank.score * 100)}% match` : ""}
+                </Text>
+              </View>
+              {["to", "cc", "bcc"].map((role) => (
+                <TouchableOpacity key={role} style={styles.candidateBtn} onPress={() => assign(c.email, role)}>
+                  <Text style={styles.candidateBtnText}>{role.toUpperCase()}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+        </>
+      )}
+
+      <View style={styles.addRecipientRow}>
+        <TextInput
+          style={[styles.emailFieldInput, { flex: 1 }]}
+          placeholder="Add an address"
+          placeholderTextColor={C.textLight}
+          value={newAddress}
+          onChangeText={setNewAddress}
+          autoCapitalize="none"
+          keyboardType="email-address"
+        />
+        {["cc", "bcc"].map((role) => (
+          <TouchableOpacity
+            key={role}
+            style={[styles.candidateBtn, !newAddress.trim() && styles.btnDisabled]}
+            disabled={!newAddress.trim()}
+            onPress={() => addTyped(role)}
+          >
+            <Text style={styles.candidateBtnText}>{role.toUpperCase()}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity style={styles.councilBtn} onPress={onSuggestCouncil} disabled={findingCouncil}>
+        {findingCouncil ? (
+          <ActivityIndicator size="small" color={C.primary} />
+        ) : (
+          <Text style={styles.suggestBtnText}>🏛️ Suggest my council member</Text>
+        )}
+      </TouchableOpacity>
     </View>
   );
 }
@@ -218,13 +1122,43 @@ function LoadingScreen() {
 // ═══════════════════════════════════════════════════════════════
 //  EMAIL REVIEW SCREEN
 // ═══════════════════════════════════════════════════════════════
-function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
+function EmailScreen({
+  email,
+  versions,
+  trace,
+  onRevise,
+  onCommitEdit,
+  onUndo,
+  onRedo,
+  onRestore,
+  onSuggestCouncil,
+  findingCouncil,
+  onRefreshContact,
+  onCancelRefresh,
+  refreshingContact,
+  onSend,
+  serviceOption,
+  onFileRequest,
+  onBack,
+  revising,
+  sending,
+  sendError,
+  sendNote,
+  hasPhoto,
+}) {
   const [editMode, setEditMode] = useState(false);
   const [to, setTo] = useState(email.to);
   const [subject, setSubject] = useState(email.subject);
   const [body, setBody] = useState(email.body);
+  const [cc, setCc] = useState(email.cc || []);
+  const [bcc, setBcc] = useState(email.bcc || []);
   const [suggestion, setSuggestion] = useState("");
   const [showSuggestionBox, setShowSuggestionBox] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  // "email" or "open311" (file a service request instead)
+  const [method, setMethod] = useState("email");
+  const [service, setService] = useState(null);
+  const [showServices, setShowServices] = useState(false);
 
   // New metadata from evidence-based routing
   const fallbackLevel = email.fallback_level;
@@ -236,11 +1170,36 @@ function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
     setTo(email.to);
     setSubject(email.subject);
     setBody(email.body);
+    setCc(email.cc || []);
+    setBcc(email.bcc || []);
     setEditMode(false);
     setShowSuggestionBox(false);
     setSuggestion("");
   }, [email]);
 
+  useEffect(() => {
+    setService(serviceOption?.service || null);
+    // Start on the city's preferred channel when it is available for this report
+    const preferred = (email.preferred_channels || []).find(
+      (c) => c === "email" || (c === "open311" && serviceOption?.service)
+    );
+    setMethod(preferred || "email");
+  }, [serviceOption]);
+
+  const filing = method === "open311";
+
+  const toggleEditMode = () => {
+    if (editMode) onCommitEdit({ to, subject, body, cc, bcc });
+    setEditMode(!editMode);
+  };
+
+  const changeRecipients = (next) => {
+    setTo(next.to);
+    setCc(next.cc);
+    setBcc(next.bcc);
+    onCommitEdit({ to: next.to, subject, body, cc: next.cc, bcc: next.bcc }, "Changed recipients");
+  };
+
   const handleSuggest = () => {
     if (!suggestion.trim()) return;
     onRevise({
@@ -269,20 +1228,102 @@ function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
 
         {/* Routing Info Badge */}
         {fallbackLevel && (
-          <View style={[styles.routingBadge, fallbackLevel === "UNVERIFIED_GUESS" && styles.routingBadgeWarning]}>
+          <View
+            style={[
+              styles.routingBadge,
+              (fallbackLevel === "UNVERIFIED_GUESS" || fallbackLevel === "USER_ENTERED") && styles.routingBadgeWarning,
+            ]}
+          >
             <Text style={styles.routingBadgeText}>
+              {fallbackLevel === "DIRECTORY" &&
+                (evidence?.last_verified ? "✓ Verified city directory contact" : "City directory contact")}
               {fallbackLevel === "TOPIC_SPECIFIC" && "✓ Topic-specific contact found"}
               {fallbackLevel === "AGENCY_MAIN" && "✓ Department contact found"}
               {fallbackLevel === "JURISDICTION_GENERAL" && "General city contact"}
               {fallbackLevel === "UNVERIFIED_GUESS" && "⚠️ Unverified - please double-check"}
+              {fallbackLevel === "USER_ENTERED" && "Address entered by you"}
             </Text>
             {agencyName && <Text style={styles.routingAgency}>{agencyName}</Text>}
             {evidence?.source_title && (
               <Text style={styles.routingSource}>Source: {evidence.source_title}</Text>
             )}
+            {evidence?.last_verified && (
+              <Text style={styles.routingSource}>Last verified: {evidence.last_verified}</Text>
+            )}
+            {email.source_verified === true && (
+              <Text style={styles.routingSource}>Address checked on the cited official page</Text>
+            )}
+            {email.source_verified === false && (
+              <Text style={styles.routingSource}>The cited page is not on an official city or county site</Text>
+            )}
+            {email.routing_cached_at && (
+              <Text style={styles.routingSource}>
+                Saved lookup from {new Date(email.routing_cached_at).toLocaleDateString()}
+              </Text>
+            )}
+            <TouchableOpacity
+              style={styles.routingRefresh}
+              onPress={() => (refreshingContact ? onCancelRefresh() : onRefreshContact({ to, subject, body, cc, bcc }))}
+            >
+              {refreshingContact ? (
+                <View style={styles.routingRefreshing}>
+                  <ActivityIndicator size="small" color="#047857" />
+                  <Text style={styles.routingRefreshText}>Cancel</Text>
+                </View>
+              ) : (
+                <Text style={styles.routingRefreshText}>↻ Refresh contact</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <UrgencyCard triage={email.triage} profileId={email.jurisdiction_profile} />
+        <JurisdictionCard info={email.jurisdiction_info} topic={email.topic} />
+
+        {/* Text that read like instructions to the model */}
+        {email.input_warnings?.length > 0 && (
+          <View style={[styles.jurisdictionCard, styles.jurisdictionCardWarning]}>
+            <Text style={styles.jurisdictionWarning}>
+              ⚠️ Your text looked like instructions to the AI ({email.input_warnings.join(", ")}). It was treated as
+              plain description text; check the recipient and wording before sending.
+            </Text>
+          </View>
+        )}
+
+        {/* Revision outcome */}
+        {email.revision_note && (
+          <View style={[styles.revisionNote, email.revision_rejected && styles.revisionNoteWarning]}>
+            <Text style={styles.revisionNoteText}>{email.revision_note}</Text>
           </View>
         )}
 
+        {/* Undo / Redo / Versions */}
+        <View style={styles.versionBar}>
+          <TouchableOpacity
+            style={[styles.versionBarBtn, !canUndo(versions) && styles.btnDisabled]}
+            onPress={onUndo}
+            disabled={!canUndo(versions) || revising}
+          >
+            <Text style={styles.versionBarText}>↶ Undo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.versionBarBtn, !canRedo(versions) && styles.btnDisabled]}
+            onPress={onRedo}
+            disabled={!canRedo(versions) || revising}
+          >
+            <Text style={styles.versionBarText}>↷ Redo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.versionBarBtn} onPress={() => setShowVersions(!showVersions)}>
+            <Text style={styles.versionBarText}>
+              {showVersions ? "Hide versions" : `Versions (${versions.versions.length})`}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {showVersions && <VersionHistory versions={versions} onRestore={onRestore} />}
+
+        {trace && <RoutingTracePanel trace={trace} />}
+
         {/* Email Card */}
         <View style={styles.emailCard}>
           {/* To */}
@@ -296,6 +1337,20 @@ function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
           </View>
           <View style={styles.emailDivider} />
 
+          {/* CC / BCC */}
+          {[["Cc", cc], ["Bcc", bcc]].map(
+            ([label, list]) =>
+              list.length > 0 && (
+                <View key={label}>
+                  <View style={styles.emailField}>
+                    <Text style={styles.emailFieldLabel}>{label}</Text>
+                    <Text style={styles.emailFieldValue}>{list.join(", ")}</Text>
+                  </View>
+                  <View style={styles.emailDivider} />
+                </View>
+              )
+          )}
+
           {/* Subject */}
           <View style={styles.emailField}>
             <Text style={styles.emailFieldLabel}>Subject</Text>
@@ -323,9 +1378,21 @@ function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
           </View>
         </View>
 
+        {!filing && (
+          <RecipientsCard
+            to={to}
+            cc={cc}
+            bcc={bcc}
+            candidates={email.candidates}
+            onChange={changeRecipients}
+            onSuggestCouncil={onSuggestCouncil}
+            findingCouncil={findingCouncil}
+          />
+        )}
+
         {/* Action Row */}
         <View style={styles.emailActions}>
-          <TouchableOpacity style={styles.editBtn} onPress={() => setEditMode(!editMode)}>
+          <TouchableOpacity style={styles.editBtn} onPress={toggleEditMode}>
             <Text style={{ fontSize: 15 }}>✏️</Text>
             <Text style={styles.editBtnText}>{editMode ? "Done Editing" : "Edit Manually"}</Text>
           </TouchableOpacity>
@@ -335,52 +1402,290 @@ function EmailScreen({ email, onRevise, onSend, onBack, revising }) {
           </TouchableOpacity>
         </View>
 
-        {/* AI Suggestion */}
-        {showSuggestionBox && (
-          <View style={styles.suggestionCard}>
-            <Text style={styles.suggestionLabel}>What would you like to change?</Text>
-            <TextInput
-              style={styles.suggestionInput}
-              placeholder='e.g. "Make it more urgent" or "Add that this has been ongoing for 2 weeks"'
-              placeholderTextColor={C.textLight}
-              multiline
-              numberOfLines={3}
-              textAlignVertical="top"
-              value={suggestion}
-              onChangeText={setSuggestion}
-            />
-            <TouchableOpacity
-              style={[styles.applySuggestionBtn, (!suggestion.trim() || revising) && styles.btnDisabled]}
-              onPress={handleSuggest}
-              disabled={!suggestion.trim() || revising}
-            >
-              {revising ? (
-                <ActivityIndicator size="small" color={C.white} />
-              ) : (
-                <>
-                  <Text style={{ fontSize: 15 }}>✨</Text>
-                  <Text style={styles.applySuggestionText}>Apply with AI</Text>
-                </>
+        {/* AI Suggestion */}
+        {showSuggestionBox && (
+          <View style={styles.suggestionCard}>
+            <Text style={styles.suggestionLabel}>What would you like to change?</Text>
+            <TextInput
+              style={styles.suggestionInput}
+              placeholder='e.g. "Make it more urgent" or "Add that this has been ongoing for 2 weeks"'
+              placeholderTextColor={C.textLight}
+              multiline
+              numberOfLines={3}
+              textAlignVertical="top"
+              value={suggestion}
+              onChangeText={setSuggestion}
+            />
+            <TouchableOpacity
+              style={[styles.applySuggestionBtn, (!suggestion.trim() || revising) && styles.btnDisabled]}
+              onPress={handleSuggest}
+              disabled={!suggestion.trim() || revising}
+            >
+              {revising ? (
+                <ActivityIndicator size="small" color={C.white} />
+              ) : (
+                <>
+                  <Text style={{ fontSize: 15 }}>✨</Text>
+                  <Text style={styles.applySuggestionText}>Apply with AI</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Email or Open311 service request */}
+        {serviceOption && (
+          <View style={styles.versionCard}>
+            <Text style={styles.suggestionLabel}>How should we report it?</Text>
+            <View style={styles.statusChips}>
+              {[
+                ["email", "Send email"],
+                ["open311", "File a service request"],
+              ].map(([value, label]) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.statusChip, method === value && styles.statusChipActive]}
+                  onPress={() => setMethod(value)}
+                >
+                  <Text style={[styles.statusChipText, method === value && styles.statusChipTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {filing && (
+              <>
+                <View style={[styles.row, { marginTop: 12 }]}>
+                  <Text style={styles.serviceName}>
+                    {service ? `Service: ${service.service_name}` : "Pick the city service that fits this issue"}
+                  </Text>
+                  <TouchableOpacity onPress={() => setShowServices(!showServices)}>
+                    <Text style={styles.queueActionText}>{showServices ? "Done" : "Change"}</Text>
+                  </TouchableOpacity>
+                </View>
+                {(showServices || !service) && (
+                  <View style={styles.statusChips}>
+                    {serviceOption.services.map((s) => (
+                      <TouchableOpacity
+                        key={s.service_code}
+                        style={[styles.statusChip, service?.service_code === s.service_code && styles.statusChipActive]}
+                        onPress={() => setService(s)}
+                      >
+                        <Text
+                          style={[
+                            styles.statusChipText,
+                            service?.service_code === s.service_code && styles.statusChipTextActive,
+                          ]}
+                        >
+                          {s.service_name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+          </View>
+        )}
+
+        {/* Send */}
+        {hasPhoto && (
+          <Text style={styles.attachmentNote}>
+            {filing ? "📎 Your photo will be uploaded with the request" : "📎 Your photo will be attached"}
+          </Text>
+        )}
+        {sendError && (
+          <View style={styles.sendErrorCard}>
+            <Text style={styles.sendErrorTitle}>{filing ? "Request not filed" : "Email not sent"}</Text>
+            <Text style={styles.sendErrorText}>{sendError}</Text>
+          </View>
+        )}
+        <TouchableOpacity
+          style={[styles.sendBtn, (sending || (filing && !service)) && styles.btnDisabled]}
+          onPress={() =>
+            filing ? onFileRequest({ to, cc, bcc, subject, body }, service) : onSend({ to, cc, bcc, subject, body })
+          }
+          disabled={sending || (filing && !service)}
+          activeOpacity={0.8}
+        >
+          {sending ? (
+            <ActivityIndicator size="small" color={C.white} />
+          ) : (
+            <>
+              <Text style={{ fontSize: 18 }}>{filing ? "🧾" : "📤"}</Text>
+              <Text style={styles.sendBtnText}>
+                {sendError ? "Try Again" : filing ? "File Service Request" : "Send Email"}
+              </Text>
+            </>
+          )}
+        </TouchableOpacity>
+        <Text style={styles.disclaimer}>
+          {filing ? "Files an Open311 service request directly with the city." : sendNote}
+        </Text>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HISTORY SCREEN
+// ═══════════════════════════════════════════════════════════════
+const STATUS_LABELS = {
+  draft: "Draft",
+  sent: "Sent",
+  acknowledged: "Acknowledged",
+  resolved: "Resolved",
+};
+
+const STATUS_COLORS = {
+  draft: { bg: "#F1F5F9", text: C.textSecondary },
+  sent: { bg: C.primaryLight, text: C.primary },
+  acknowledged: { bg: "#FEF3C7", text: "#B45309" },
+  resolved: { bg: C.accentLight, text: "#047857" },
+};
+
+function HistoryScreen({ onOpen, onBack }) {
+  const [reports, setReports] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  const refresh = async () => {
+    try {
+      setReports(await loadReports());
+      setLoadError(null);
+    } catch (e) {
+      setLoadError(e.message);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const changeStatus = async (id, status) => {
+    try {
+      await setReportStatus(id, status);
+      refresh();
+    } catch (e) {
+      Alert.alert("Error", `Failed to update status:\n\n${e.message}`);
+    }
+  };
+
+  const checkServiceRequest = async (report) => {
+    try {
+      const updated = await refreshServiceRequest(report.service_request);
+      await updateReport(report.id, { service_request: updated });
+      if (updated.status === "closed" && report.status !== "resolved") await setReportStatus(report.id, "resolved");
+      refresh();
+    } catch (e) {
+      Alert.alert("Error", `Failed to check the service request:\n\n${e.message}`);
+    }
+  };
+
+  const confirmDelete = (report) => {
+    Alert.alert("Delete report?", "This removes the report and its photo from this device.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          await deleteReport(report.id);
+          refresh();
+        },
+      },
+    ]);
+  };
+
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.screenContent}>
+      <View style={styles.emailHeader}>
+        <TouchableOpacity onPress={onBack} style={styles.backBtn}>
+          <Text style={styles.backBtnText}>← New Report</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Your Reports</Text>
+        <Text style={styles.headerSubtitle}>Update each report's status as the city responds, or reopen it.</Text>
+      </View>
+
+      {loadError && (
+        <View style={styles.card}>
+          <Text style={styles.historyEmpty}>
+            {loadError}. Your reports have not been changed; try again after restarting the app.
+          </Text>
+        </View>
+      )}
+      {reports === null && !loadError && <ActivityIndicator size="small" color={C.primary} />}
+      {reports?.length === 0 && (
+        <View style={styles.card}>
+          <Text style={styles.historyEmpty}>No reports yet. Drafted and sent reports will appear here.</Text>
+        </View>
+      )}
+
+      {reports?.map((r) => {
+        const statusColor = STATUS_COLORS[r.status] || STATUS_COLORS.draft;
+        const recipient = r.service_request ? null : r.sent_email?.to || r.draft?.to;
+        return (
+          <View key={r.id} style={styles.card}>
+            <View style={styles.row}>
+              <Text style={styles.historyDate}>
+                {new Date(r.created_at).toLocaleDateString()}
+                {r.sent_at ? ` · sent ${new Date(r.sent_at).toLocaleDateString()}` : ""}
+              </Text>
+              <Text style={[styles.statusPill, { backgroundColor: statusColor.bg, color: statusColor.text }]}>
+                {STATUS_LABELS[r.status]}
+              </Text>
+            </View>
+            <Text style={styles.historyDescription} numberOfLines={3}>
+              {r.description || "Photo report"}
+            </Text>
+            {(r.routing?.agency_name || recipient) && (
+              <Text style={styles.historyMeta}>
+                → {[r.routing?.agency_name, recipient].filter(Boolean).join(" · ")}
+              </Text>
+            )}
+            {r.follow_up_of && <Text style={styles.historyMeta}>↩ Follow-up to an earlier report</Text>}
+            {r.service_request && (
+              <Text style={styles.historyMeta}>
+                🧾 {r.service_request.service_name} #{r.service_request.service_request_id || "pending"} ·{" "}
+                {r.service_request.status}
+                {r.service_request.status_notes ? `\n${r.service_request.status_notes}` : ""}
+              </Text>
+            )}
+
+            <View style={styles.statusChips}>
+              {REPORT_STATUSES.map((status) => (
+                <TouchableOpacity
+                  key={status}
+                  style={[styles.statusChip, r.status === status && styles.statusChipActive]}
+                  onPress={() => changeStatus(r.id, status)}
+                >
+                  <Text style={[styles.statusChipText, r.status === status && styles.statusChipTextActive]}>
+                    {STATUS_LABELS[status]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.emailActions}>
+              <TouchableOpacity style={styles.editBtn} onPress={() => onOpen(r)}>
+                <Text style={styles.editBtnText}>Reopen</Text>
+              </TouchableOpacity>
+              {r.service_request && (
+                <TouchableOpacity style={styles.editBtn} onPress={() => checkServiceRequest(r)}>
+                  <Text style={styles.editBtnText}>Check Status</Text>
+                </TouchableOpacity>
               )}
-            </TouchableOpacity>
+              <TouchableOpacity style={styles.editBtn} onPress={() => confirmDelete(r)}>
+                <Text style={[styles.editBtnText, { color: C.error }]}>Delete</Text>
+              </TouchableOpacity>
+            </View>
           </View>
-        )}
-
-        {/* Send */}
-        <TouchableOpacity style={styles.sendBtn} onPress={() => onSend({ to, subject, body })} activeOpacity={0.8}>
-          <Text style={{ fontSize: 18 }}>📤</Text>
-          <Text style={styles.sendBtnText}>Send Email</Text>
-        </TouchableOpacity>
-        <Text style={styles.disclaimer}>In the full version, this will send from your connected Gmail account.</Text>
-      </ScrollView>
-    </KeyboardAvoidingView>
+        );
+      })}
+    </ScrollView>
   );
 }
 
 // ═══════════════════════════════════════════════════════════════
 //  SENT CONFIRMATION MODAL
 // ═══════════════════════════════════════════════════════════════
-function SentModal({ visible, email, onClose }) {
+function SentModal({ visible, email, serviceRequest, onClose, onViewHistory }) {
   const scaleAnim = useRef(new Animated.Value(0.8)).current;
   const opacityAnim = useRef(new Animated.Value(0)).current;
 
@@ -403,79 +1708,619 @@ function SentModal({ visible, email, onClose }) {
           <View style={styles.sentCheckCircle}>
             <Text style={styles.sentCheck}>✓</Text>
           </View>
-          <Text style={styles.sentTitle}>Email Sent!</Text>
-          <Text style={styles.sentSubtitle}>Your report has been sent to</Text>
-          <Text style={styles.sentEmail}>{email?.to}</Text>
-          <Text style={styles.sentNote}>You'll receive updates as your case progresses.</Text>
+          {serviceRequest ? (
+            <>
+              <Text style={styles.sentTitle}>Request Filed!</Text>
+              <Text style={styles.sentSubtitle}>{serviceRequest.service_name} service request</Text>
+              <Text style={styles.sentEmail}>#{serviceRequest.service_request_id || "pending"}</Text>
+              <Text style={styles.sentNote}>
+                {serviceRequest.service_notice || "Check its status any time from History."}
+              </Text>
+            </>
+          ) : (
+            <>
+              <Text style={styles.sentTitle}>Email Sent!</Text>
+              <Text style={styles.sentSubtitle}>Your report has been sent to</Text>
+              <Text style={styles.sentEmail}>
+                {email?.to}
+                {email?.cc?.length || email?.bcc?.length
+                  ? ` and ${(email.cc?.length || 0) + (email.bcc?.length || 0)} more`
+                  : ""}
+              </Text>
+              <Text style={styles.sentNote}>Track its progress any time from History.</Text>
+            </>
+          )}
           <TouchableOpacity style={styles.sentBtn} onPress={onClose}>
             <Text style={styles.sentBtnText}>Report Another Issue</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.sentLink} onPress={onViewHistory}>
+            <Text style={styles.sentLinkText}>View History</Text>
+          </TouchableOpacity>
         </Animated.View>
       </Animated.View>
     </Modal>
   );
 }
 
+// ═══════════════════════════════════════════════════════════════
+//  CITY SWITCHER
+// ═══════════════════════════════════════════════════════════════
+const CITY_STORAGE_KEY = "civicreport.jurisdiction.v1";
+
+/**
+ * The selected jurisdiction profile, remembered across launches. A location
+ * inside another profiled city switches to it.
+ */
+function useCityProfile() {
+  const [profile, setProfile] = useState(defaultProfile);
+
+  useEffect(() => {
+    AsyncStorage.getItem(CITY_STORAGE_KEY)
+      .then((id) => {
+        const stored = id && getProfile(id);
+        if (stored) setProfile(stored);
+      })
+      .catch((e) => console.error("Failed to read the selected city:", e.message));
+  }, []);
+
+  const select = (id) => {
+    const next = getProfile(id);
+    if (!next) return;
+    setProfile(next);
+    AsyncStorage.setItem(CITY_STORAGE_KEY, next.id).catch((e) =>
+      console.error("Failed to save the selected city:", e.message)
+    );
+  };
+
+  const selectForLocation = (location) => {
+    const found = profileForLocation(location);
+    if (found && found.id !== profile.id) select(found.id);
+  };
+
+  return { profile, select, selectForLocation };
+}
+
+function CitySwitcher({ visible, selected, onSelect, onClose }) {
+  return (
+    <Modal transparent visible={visible} animationType="fade" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <View style={[styles.modalCard, styles.cityCard]}>
+          <Text style={styles.cityTitle}>Your city</Text>
+          <Text style={styles.cityHint}>
+            Used when we can't tell where a report is. Reports with a location use the city they're in.
+          </Text>
+          {JURISDICTION_PROFILES.map((p) => (
+            <TouchableOpacity
+              key={p.id}
+              style={[styles.cityOption, p.id === selected.id && styles.cityOptionActive]}
+              onPress={() => onSelect(p.id)}
+            >
+              <Text style={[styles.cityOptionText, p.id === selected.id && styles.cityOptionTextActive]}>
+                {p.name}, {p.state}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 //  MAIN APP
 // ═══════════════════════════════════════════════════════════════
 export default function App() {
   const [screen, setScreen] = useState("report");
-  const [emailData, setEmailData] = useState(null);
+  const [report, setReport] = useState(null);
+  const [reportId, setReportId] = useState(null);
+  const [versions, setVersions] = useState(null);
+  const [trace, setTrace] = useState(null);
   const [revising, setRevising] = useState(false);
+  const [findingCouncil, setFindingCouncil] = useState(false);
+  const [refreshingContact, setRefreshingContact] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState(null);
   const [showSent, setShowSent] = useState(false);
   const [sentEmail, setSentEmail] = useState(null);
+  const [serviceOption, setServiceOption] = useState(null);
+  const [filedRequest, setFiledRequest] = useState(null);
+  const [duplicates, setDuplicates] = useState(null);
+  const [emergency, setEmergency] = useState(null);
+  const [borderPrompt, setBorderPrompt] = useState(null);
+  const [showCities, setShowCities] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const draftAbort = useRef(null);
+  const refreshAbort = useRef(null);
+  const city = useCityProfile();
+  const mailer = useMailer();
+  const queue = useReportQueue({ onOpenReport: (id) => handleOpenReportById(id) });
+  const emailData = versions ? currentVersion(versions).draft : null;
+
+  // Every draft change goes through the version stack and is saved with the report
+  const commitVersions = (next, id = reportId) => {
+    setVersions(next);
+    if (id) {
+      updateReport(id, { draft: currentVersion(next).draft, versions: next }).catch((saveError) =>
+        console.error("Failed to save draft:", saveError.message)
+      );
+    }
+  };
+
+  // Record unsaved hand edits as their own version
+  const withManualEdit = (stack, fields, label = "Manual edit") => {
+    const draft = currentVersion(stack).draft;
+    const sameList = (a = [], b = []) => a.join(",") === b.join(",");
+    const unchanged =
+      draft.to === fields.to &&
+      draft.subject === fields.subject &&
+      draft.body === fields.body &&
+      sameList(draft.cc, fields.cc ?? draft.cc) &&
+      sameList(draft.bcc, fields.bcc ?? draft.bcc);
+    if (unchanged) return stack;
+    return pushVersion(stack, applyManualEdit(draft, fields), { label, source: "manual" });
+  };
 
-  const handleReportSubmit = async ({ description, location, photo }) => {
+  // Offline (or dropped mid-draft): keep the report in the queue instead of losing it
+  const queueForLater = async (submitted) => {
+    try {
+      await queue.enqueue({ ...submitted, jurisdictionId: city.profile.id });
+      Alert.alert("Saved for later", "You're offline. We'll draft this report and notify you when you're back online.");
+    } catch (queueError) {
+      Alert.alert("Error", `Failed to save the report for later:\n\n${queueError.message}`);
+    }
+  };
+
+  // Offer "file a service request" when the jurisdiction has an Open311 endpoint
+  const loadServiceOption = (draft) => {
+    setServiceOption(null);
+    findOpen311Service({ jurisdiction: draft.jurisdiction, topic: draft.topic })
+      .then(setServiceOption)
+      .catch((e) => console.log("Open311 service discovery failed:", e.message));
+  };
+
+  // A fresh AbortController for the loading screen's Cancel button; aborts any earlier run
+  const startLoading = () => {
+    draftAbort.current?.abort();
+    const controller = new AbortController();
+    draftAbort.current = controller;
+    setProgress({ steps: [], draftText: "" });
     setScreen("loading");
+    return controller.signal;
+  };
+
+  // Steps are updated in place by name; draft text replaces the previous preview
+  const handleProgress = (event) => {
+    setProgress((prev) => {
+      if (!prev) return prev;
+      if (event.type === "draft_text") return { ...prev, draftText: event.text };
+      const step = { name: event.name, label: event.label, status: event.status };
+      const index = prev.steps.findIndex((s) => s.name === event.name);
+      const steps = index === -1 ? [...prev.steps, step] : prev.steps.map((s, i) => (i === index ? step : s));
+      return { ...prev, steps };
+    });
+  };
+
+  const handleCancelDraft = () => {
+    draftAbort.current?.abort();
+    draftAbort.current = null;
+    setProgress(null);
+    setScreen("report");
+  };
+
+  // Hazards are triaged before anything else, offline included: a phone call beats any email
+  const handleReportSubmit = (submitted) => {
+    const triage = triageReport({ description: submitted.description });
+    if (triage.level === "emergency") {
+      const profile = profileForLocation(submitted.location) || city.profile;
+      setEmergency({ triage, lines: hazardLines(triage, profile), submitted });
+      setScreen("emergency");
+      return;
+    }
+    return routeSubmittedReport(submitted);
+  };
+
+  const handleEmergencyDraftAnyway = () => {
+    const { submitted } = emergency;
+    setEmergency(null);
+    routeSubmittedReport(submitted);
+  };
+
+  const routeSubmittedReport = async ({ description, location, photo }) => {
+    // The bundled outlines can't settle a spot this close to a border, so the user picks
+    const choices = borderChoices(location);
+    if (choices.length) {
+      setBorderPrompt({ submitted: { description, location, photo }, choices });
+      return;
+    }
+    if (!(await isDeviceOnline())) {
+      await queueForLater({ description, location, photo });
+      return;
+    }
+    setReport({ description, location, photo });
+    setSendError(null);
+    const signal = startLoading();
+
+    // Look for earlier reports of the same issue before spending a full draft
+    let image = null;
+    let topic = null;
+    try {
+      image = await prepareImageForModel(photo);
+      const check = await checkForDuplicates({ description, location, image }, { signal });
+      if (signal.aborted) return;
+      topic = check.topic;
+      if (check.matches.length) {
+        setDuplicates({ matches: check.matches, submitted: { description, location, photo }, image, topic });
+        setScreen("duplicates");
+        return;
+      }
+    } catch (e) {
+      if (signal.aborted) return;
+      console.log("Duplicate check failed, drafting anyway:", e.message);
+    }
+    await draftReport({ description, location, photo }, { image, topic });
+  };
+
+  const draftReport = async ({ description, location, photo }, { image, topic, relatedRequest = null }) => {
+    const signal = startLoading();
     try {
-      const result = await generateEmailDraft({ description, location, hasPhoto: !!photo });
-      setEmailData(result);
+      const { trace: routingTrace, ...result } = await generateEmailDraft(
+        {
+          description,
+          location,
+          hasPhoto: !!photo,
+          image,
+          topic,
+          relatedRequest,
+          jurisdictionId: city.profile.id,
+        },
+        { signal, onProgress: handleProgress }
+      );
+      if (signal.aborted) return;
+      setProgress(null);
+      const stack = createVersionStack(result);
+      setVersions(stack);
+      setTrace(routingTrace);
+      loadServiceOption(result);
       setScreen("email");
+      try {
+        const saved = await createReport({
+          description,
+          location,
+          photo,
+          draft: result,
+          versions: stack,
+          trace: routingTrace,
+        });
+        setReport({ description, location, photo: saved.photo });
+        setReportId(saved.id);
+      } catch (saveError) {
+        console.error("Failed to save report:", saveError.message);
+      }
     } catch (e) {
+      // Cancelled from the loading screen, which has already gone back to the report
+      if (signal.aborted) return;
+      setProgress(null);
       setScreen("report");
-      Alert.alert("Error", `Failed to generate email draft:\n\n${e.message}`);
+      if (!(await isDeviceOnline())) {
+        await queueForLater({ description, location, photo });
+        return;
+      }
+      Alert.alert(
+        ...modelErrorText(e, "generate the email draft"),
+        e.trace ? [{ text: "Share routing trace", onPress: () => shareTrace(e.trace) }, { text: "OK" }] : undefined
+      );
+    }
+  };
+
+  const handleDraftAnyway = (relatedRequest = null) => {
+    const { submitted, image, topic } = duplicates;
+    setDuplicates(null);
+    draftReport(submitted, { image, topic, relatedRequest });
+  };
+
+  // "+1 / still unresolved": reuse the earlier report's recipients instead of routing again
+  const handleFollowUp = async (original) => {
+    const { submitted } = duplicates;
+    setDuplicates(null);
+    const draft = buildFollowUpDraft(original, { description: submitted.description });
+    const stack = createVersionStack(draft, "Follow-up draft");
+    setVersions(stack);
+    setTrace(null);
+    setScreen("email");
+    try {
+      const saved = await createReport({ ...submitted, draft, versions: stack, followUpOf: original.id });
+      setReport({ ...submitted, photo: saved.photo });
+      setReportId(saved.id);
+    } catch (saveError) {
+      console.error("Failed to save follow-up:", saveError.message);
     }
   };
 
   const handleRevise = async ({ currentTo, currentSubject, currentBody, suggestion }) => {
     setRevising(true);
+    let stack = withManualEdit(versions, { to: currentTo, subject: currentSubject, body: currentBody });
     try {
-      const result = await reviseEmailDraft({ currentTo, currentSubject, currentBody, suggestion });
-      setEmailData(result);
+      const result = await reviseEmailDraft({
+        draft: currentVersion(stack).draft,
+        currentTo,
+        currentSubject,
+        currentBody,
+        suggestion,
+      });
+      stack = pushVersion(stack, result, { label: suggestion, source: "ai" });
     } catch (e) {
-      Alert.alert("Error", `Failed to revise draft:\n\n${e.message}`);
+      Alert.alert(...modelErrorText(e, "revise the draft"));
     }
+    if (stack !== versions) commitVersions(stack);
     setRevising(false);
   };
 
-  const handleSend = (finalEmail) => {
-    setSentEmail(finalEmail);
-    setShowSent(true);
+  const handleCommitEdit = (fields, label) => {
+    const stack = withManualEdit(versions, fields, label);
+    if (stack !== versions) commitVersions(stack);
+  };
+
+  const handleSuggestCouncil = async () => {
+    setFindingCouncil(true);
+    try {
+      const member = await suggestCouncilMember({
+        jurisdiction: emailData.jurisdiction,
+        location: report?.location,
+        topic: emailData.topic,
+      });
+      if (!member) {
+        Alert.alert("No council contact found", "We couldn't find a verified council contact for this location.");
+      } else if ([emailData.to, ...(emailData.cc || []), ...(emailData.bcc || [])].includes(member.email)) {
+        Alert.alert("Already included", `${member.agency_name} (${member.email}) is already a recipient.`);
+      } else {
+        const draft = {
+          ...emailData,
+          cc: [...(emailData.cc || []), member.email],
+          candidates: [...(emailData.candidates || []), member],
+        };
+        commitVersions(pushVersion(versions, draft, { label: `CC ${member.agency_name}`, source: "manual" }));
+      }
+    } catch (e) {
+      Alert.alert(...modelErrorText(e, "find a council member"));
+    }
+    setFindingCouncil(false);
+  };
+
+  // Route the report again without the cached contact; the wording and CC/BCC are kept
+  const handleRefreshContact = async (fields) => {
+    refreshAbort.current?.abort();
+    const controller = new AbortController();
+    refreshAbort.current = controller;
+    setRefreshingContact(true);
+    let stack = withManualEdit(versions, fields);
+    try {
+      // The stored topic is enough to route again; the photo is only needed to classify a report without one
+      const needsPhoto = !!report.photo && (!emailData.topic || !report.description?.trim());
+      const image = needsPhoto ? await prepareImageForModel(report.photo) : null;
+      const { trace: routingTrace, ...routing } = await refreshContact(
+        {
+          description: report.description,
+          location: report.location,
+          hasPhoto: !!report.photo,
+          image,
+          topic: emailData.topic,
+          jurisdictionId: city.profile.id,
+        },
+        { signal: controller.signal }
+      );
+      const current = currentVersion(stack).draft;
+      stack = pushVersion(stack, { ...current, ...routing }, { label: "Refreshed contact", source: "manual" });
+      setTrace(routingTrace);
+      if (routing.to !== current.to) {
+        Alert.alert("Contact updated", `A fresh lookup found ${routing.agency_name || routing.to} (${routing.to}).`);
+      } else {
+        Alert.alert("Contact confirmed", `A fresh lookup found the same contact, ${routing.to}.`);
+      }
+    } catch (e) {
+      // Cancelled, or the email screen was left
+      if (controller.signal.aborted) {
+        setRefreshingContact(false);
+        return;
+      }
+      Alert.alert(...modelErrorText(e, "refresh the contact"));
+    }
+    if (stack !== versions) commitVersions(stack);
+    setRefreshingContact(false);
+  };
+
+  const handleSend = async (finalEmail) => {
+    setSending(true);
+    setSendError(null);
+    handleCommitEdit(finalEmail);
+    try {
+      await mailer.send({ ...finalEmail, photoUri: report?.photo });
+      setSentEmail(finalEmail);
+      setShowSent(true);
+      if (reportId) {
+        markReportSent(reportId, finalEmail).catch((saveError) =>
+          console.error("Failed to record sent report:", saveError.message)
+        );
+      }
+    } catch (e) {
+      setSendError(e.message);
+    }
+    setSending(false);
+  };
+
+  const handleFileRequest = async (finalEmail, service) => {
+    setSending(true);
+    setSendError(null);
+    handleCommitEdit(finalEmail);
+    try {
+      const serviceRequest = await submitServiceRequest({
+        server: serviceOption,
+        service,
+        // GeoReport v2 servers commonly cap descriptions at 4000 characters
+        description: `${finalEmail.subject}\n\n${finalEmail.body}`.slice(0, 4000),
+        location: report?.location,
+        photoUri: report?.photo,
+      });
+      setSentEmail(finalEmail);
+      setFiledRequest(serviceRequest);
+      setShowSent(true);
+      if (reportId) {
+        markReportFiled(reportId, serviceRequest, { subject: finalEmail.subject, body: finalEmail.body }).catch(
+          (saveError) => console.error("Failed to record filed report:", saveError.message)
+        );
+      }
+    } catch (e) {
+      setSendError(e.message);
+    }
+    setSending(false);
   };
 
   const handleReset = () => {
+    refreshAbort.current?.abort();
     setShowSent(false);
     setSentEmail(null);
-    setEmailData(null);
+    setFiledRequest(null);
+    setServiceOption(null);
+    setDuplicates(null);
+    setEmergency(null);
+    setSendError(null);
+    setVersions(null);
+    setTrace(null);
+    setReport(null);
+    setReportId(null);
     setScreen("report");
   };
 
+  const handleViewHistory = () => {
+    handleReset();
+    setScreen("history");
+  };
+
+  // Listed reports come without their trace and versions, so the full report is loaded first
+  const handleOpenReport = async ({ id }) => {
+    let stored;
+    try {
+      stored = await loadReport(id);
+    } catch (e) {
+      Alert.alert("Error", `Failed to open the report:
+
+${e.message}`);
+      return;
+    }
+    if (!stored) return;
+    setReport({ description: stored.description, location: stored.location, photo: stored.photo });
+    setReportId(stored.id);
+    setTrace(stored.trace || null);
+    setSendError(null);
+    const stack =
+      stored.versions || createVersionStack(stored.sent_email ? { ...stored.draft, ...stored.sent_email } : stored.draft);
+    setVersions(stack);
+    loadServiceOption(currentVersion(stack).draft);
+    setScreen("email");
+  };
+
+  const handleOpenReportById = (id) => handleOpenReport({ id });
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="dark-content" backgroundColor={C.bg} />
       <View style={styles.appBar}>
         <Text style={styles.appBarTitle}>CivicReport</Text>
-        <Text style={styles.appBarBadge}>Palo Alto</Text>
+        <View style={styles.appBarRight}>
+          {screen !== "loading" && screen !== "history" && (
+            <TouchableOpacity onPress={handleViewHistory}>
+              <Text style={styles.appBarLink}>History</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => setShowCities(true)} disabled={screen === "loading"}>
+            <Text style={styles.appBarBadge}>{city.profile.name} ▾</Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
-      {screen === "report" && <ReportScreen onSubmit={handleReportSubmit} />}
-      {screen === "loading" && <LoadingScreen />}
+      {screen === "report" && (
+        <ReportScreen
+          onSubmit={handleReportSubmit}
+          queue={queue}
+          region={city.profile.region}
+          onLocated={city.selectForLocation}
+        />
+      )}
+      {screen === "history" && <HistoryScreen onOpen={handleOpenReport} onBack={handleReset} />}
+      {screen === "loading" && <LoadingScreen progress={progress} onCancel={handleCancelDraft} />}
+      {screen === "emergency" && emergency && (
+        <EmergencyScreen
+          triage={emergency.triage}
+          lines={emergency.lines}
+          onDraftAnyway={handleEmergencyDraftAnyway}
+          onCancel={handleReset}
+        />
+      )}
+      {screen === "duplicates" && duplicates && (
+        <DuplicatesScreen
+          matches={duplicates.matches}
+          onFollowUp={handleFollowUp}
+          onOpen={(stored) => {
+            setDuplicates(null);
+            handleOpenReport(stored);
+          }}
+          onDraftAnyway={handleDraftAnyway}
+          onCancel={handleReset}
+        />
+      )}
       {screen === "email" && emailData && (
-        <EmailScreen email={emailData} onRevise={handleRevise} onSend={handleSend} onBack={handleReset} revising={revising} />
+        <EmailScreen
+          email={emailData}
+          versions={versions}
+          trace={trace}
+          onRevise={handleRevise}
+          onCommitEdit={handleCommitEdit}
+          onUndo={() => commitVersions(undo(versions))}
+          onRedo={() => commitVersions(redo(versions))}
+          onRestore={(id) => commitVersions(restoreVersion(versions, id))}
+          onSuggestCouncil={handleSuggestCouncil}
+          findingCouncil={findingCouncil}
+          onRefreshContact={handleRefreshContact}
+          onCancelRefresh={() => refreshAbort.current?.abort()}
+          refreshingContact={refreshingContact}
+          onSend={handleSend}
+          serviceOption={serviceOption}
+          onFileRequest={handleFileRequest}
+          onBack={handleReset}
+          revising={revising}
+          sending={sending}
+          sendError={sendError}
+          sendNote={mailer.description}
+          hasPhoto={!!report?.photo}
+        />
       )}
 
-      <SentModal visible={showSent} email={sentEmail} onClose={handleReset} />
+      <BorderPrompt
+        prompt={borderPrompt}
+        onSelect={(choice) => {
+          const { submitted } = borderPrompt;
+          setBorderPrompt(null);
+          routeSubmittedReport({ ...submitted, location: { ...submitted.location, jurisdiction: choice.jurisdiction } });
+        }}
+        onClose={() => setBorderPrompt(null)}
+      />
+
+      <CitySwitcher
+        visible={showCities}
+        selected={city.profile}
+        onSelect={(id) => {
+          city.select(id);
+          setShowCities(false);
+        }}
+        onClose={() => setShowCities(false)}
+      />
+
+      <SentModal
+        visible={showSent}
+        email={sentEmail}
+        serviceRequest={filedRequest}
+        onClose={handleReset}
+        onViewHistory={handleViewHistory}
+      />
     </View>
   );
 }
@@ -499,6 +2344,8 @@ const styles = StyleSheet.create({
     borderBottomColor: C.border,
   },
   appBarTitle: { fontSize: 20, fontWeight: "700", color: C.primary },
+  appBarRight: { flexDirection: "row", alignItems: "center", gap: 12 },
+  appBarLink: { fontSize: 14, fontWeight: "600", color: C.textSecondary },
   appBarBadge: {
     fontSize: 13,
     fontWeight: "600",
@@ -553,9 +2400,11 @@ const styles = StyleSheet.create({
   locationLoading: { flexDirection: "row", alignItems: "center", marginTop: 10, gap: 8 },
   locationLoadingText: { fontSize: 13, color: C.textSecondary },
   locationBadge: { marginTop: 10, backgroundColor: C.accentLight, paddingHorizontal: 12, paddingVertical: 8, borderRadius: 8 },
+  locationLinks: { flexDirection: "row", justifyContent: "space-between", marginTop: 12 },
   locationBadgeText: { fontSize: 13, color: "#047857", fontWeight: "500" },
 
   // Photo
+  photoHint: { fontSize: 13, color: C.textSecondary, marginBottom: 10, lineHeight: 18 },
   photoButtons: { flexDirection: "row", gap: 10 },
   photoBtn: {
     flex: 1,
@@ -601,8 +2450,22 @@ const styles = StyleSheet.create({
   submitBtnText: { color: C.white, fontSize: 16, fontWeight: "600" },
 
   // Loading
+  loadingScreen: { flexGrow: 1, alignItems: "center", justifyContent: "center", padding: 40 },
   loadingTitle: { fontSize: 18, fontWeight: "600", color: C.text, marginTop: 20 },
   loadingSubtitle: { fontSize: 14, color: C.textSecondary, marginTop: 6, textAlign: "center" },
+  loadingSteps: { alignSelf: "stretch", marginTop: 24, gap: 6 },
+  loadingStep: { flexDirection: "row", alignItems: "flex-start", gap: 10 },
+  loadingStepRunning: { fontWeight: "600" },
+  loadingDraft: {
+    alignSelf: "stretch",
+    backgroundColor: C.card,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: C.border,
+    padding: 14,
+    marginTop: 20,
+  },
+  loadingDraftText: { fontSize: 14, color: C.textSecondary, lineHeight: 20 },
 
   // Email screen
   emailHeader: { marginBottom: 16 },
@@ -712,6 +2575,147 @@ const styles = StyleSheet.create({
   },
   sendBtnText: { color: C.white, fontSize: 16, fontWeight: "600" },
   disclaimer: { textAlign: "center", fontSize: 12, color: C.textLight, marginTop: 10 },
+  serviceName: { fontSize: 13, color: C.text, flex: 1 },
+  attachmentNote: { fontSize: 13, color: C.textSecondary, marginTop: 16 },
+  sendErrorCard: {
+    backgroundColor: "#FEF2F2",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 14,
+    borderWidth: 1,
+    borderColor: C.error,
+  },
+  sendErrorTitle: { fontSize: 13, fontWeight: "600", color: "#B91C1C" },
+  sendErrorText: { fontSize: 12, color: "#7F1D1D", marginTop: 4 },
+
+  // Recipients
+  recipientRow: { flexDirection: "row", alignItems: "flex-start", marginBottom: 8 },
+  recipientRole: { fontSize: 12, fontWeight: "600", color: C.textSecondary, width: 40, paddingTop: 6 },
+  recipientChips: { flex: 1, flexDirection: "row", flexWrap: "wrap", gap: 6 },
+  recipientChip: { backgroundColor: C.primaryLight, borderRadius: 12, paddingHorizontal: 10, paddingVertical: 5 },
+  recipientChipText: { fontSize: 12, color: C.primary },
+  candidateRow: { flexDirection: "row", alignItems: "center", gap: 6, paddingVertical: 6 },
+  candidateBtn: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  candidateBtnText: { fontSize: 11, fontWeight: "600", color: C.textSecondary },
+  addRecipientRow: { flexDirection: "row", alignItems: "center", gap: 6, marginTop: 10 },
+  councilBtn: {
+    alignItems: "center",
+    paddingVertical: 10,
+    marginTop: 12,
+    backgroundColor: C.primaryLight,
+    borderRadius: 10,
+  },
+
+  // Versions
+  versionBar: { flexDirection: "row", gap: 8, marginBottom: 14 },
+  versionBarBtn: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: C.card,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  versionBarText: { fontSize: 13, color: C.textSecondary, fontWeight: "500" },
+  versionCard: {
+    backgroundColor: C.card,
+    borderRadius: 14,
+    padding: 16,
+    marginBottom: 14,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  versionHint: { fontSize: 12, color: C.textLight, marginBottom: 8 },
+  versionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  versionRowSelected: { backgroundColor: C.primaryLight },
+  versionNumber: { fontSize: 13, fontWeight: "700", color: C.primary, width: 28 },
+  versionLabel: { fontSize: 13, color: C.text },
+  versionTime: { fontSize: 11, color: C.textLight, marginTop: 2 },
+  versionCurrent: { fontSize: 11, fontWeight: "600", color: C.accent },
+  diffCard: { backgroundColor: C.bg, borderRadius: 10, padding: 12, marginVertical: 10 },
+  diffTitle: { fontSize: 12, fontWeight: "600", color: C.textSecondary, marginBottom: 6 },
+  diffField: { fontSize: 13, color: C.text, marginBottom: 6 },
+  diffBody: { fontSize: 13, color: C.text, lineHeight: 20 },
+  diffRow: { flexDirection: "row", gap: 10 },
+  diffColumn: { flex: 1 },
+  diffLabel: { fontSize: 11, fontWeight: "600", color: C.textLight, marginTop: 6, marginBottom: 2 },
+  traceHeader: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  traceStep: { borderTopWidth: 1, borderTopColor: C.border, paddingVertical: 8 },
+  traceStepRow: { flexDirection: "row", alignItems: "flex-start", gap: 10 },
+  traceStatus: { fontSize: 13, fontWeight: "700", color: C.accent, width: 18 },
+  traceStatusBad: { color: C.error },
+  traceLabel: { fontSize: 13, color: C.text },
+  traceReason: { fontSize: 12, color: C.error, marginTop: 2 },
+  traceMeta: { fontSize: 11, color: C.textLight },
+  traceCall: { backgroundColor: C.bg, borderRadius: 10, padding: 10, marginTop: 8 },
+  traceHeading: { fontSize: 11, fontWeight: "600", color: C.textSecondary, marginTop: 6 },
+  traceDetail: { fontSize: 11, color: C.text, fontFamily: Platform.OS === "ios" ? "Menlo" : "monospace", marginTop: 2 },
+  diffAdded: { backgroundColor: "#D1FAE5", color: "#065F46" },
+  diffRemoved: { backgroundColor: "#FEE2E2", color: "#991B1B" },
+
+  // Location picker
+  pickerHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 20,
+    paddingTop: Platform.OS === "ios" ? 54 : 16,
+    paddingBottom: 12,
+    backgroundColor: C.card,
+  },
+  pickerTitle: { fontSize: 16, fontWeight: "700", color: C.text },
+  pickerSearch: { paddingHorizontal: 20, paddingBottom: 12, backgroundColor: C.card },
+  pickerSearchRow: { flexDirection: "row", gap: 8, marginTop: 10 },
+  pickerInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: C.border,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: C.text,
+    backgroundColor: C.bg,
+  },
+  pickerSearchBtn: {
+    backgroundColor: C.primary,
+    borderRadius: 10,
+    paddingHorizontal: 16,
+    justifyContent: "center",
+  },
+  pickerSearchBtnText: { color: C.white, fontWeight: "600", fontSize: 14 },
+  pickerFooter: { padding: 20, paddingBottom: 34, backgroundColor: C.card, gap: 6 },
+  pickerCoords: { fontSize: 11, color: C.textLight },
+
+  // Offline queue
+  offlineBanner: { backgroundColor: "#FEF3C7", borderRadius: 10, padding: 12, marginBottom: 14 },
+  offlineBannerText: { fontSize: 13, color: "#92400E" },
+  queueRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: C.border,
+  },
+  queueDescription: { fontSize: 14, color: C.text },
+  queueStatus: { fontSize: 12, color: C.textSecondary, marginTop: 2 },
+  queueStatusFailed: { color: C.error },
+  queueActions: { flexDirection: "row", gap: 14 },
+  queueActionText: { fontSize: 13, fontWeight: "600", color: C.primary },
 
   // Routing Info Badge
   routingBadge: {
@@ -736,12 +2740,37 @@ const styles = StyleSheet.create({
     color: "#065F46",
     marginTop: 4,
   },
+  jurisdictionCard: {
+    backgroundColor: C.card,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 14,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  jurisdictionCardWarning: { backgroundColor: "#FEF3C7", borderColor: "#F59E0B" },
+  jurisdictionName: { fontSize: 13, fontWeight: "600", color: C.text },
+  jurisdictionDetail: { fontSize: 12, color: C.textSecondary, marginTop: 4 },
+  jurisdictionDistrictMatch: { color: C.primary, fontWeight: "600" },
+  jurisdictionWarning: { fontSize: 13, color: "#92400E", lineHeight: 18 },
+  urgencyLine: { fontSize: 13, color: "#92400E", fontWeight: "600", marginTop: 8 },
+  revisionNote: {
+    backgroundColor: C.primaryLight,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 14,
+  },
+  revisionNoteWarning: { backgroundColor: "#FEF3C7" },
+  revisionNoteText: { fontSize: 13, color: C.text, lineHeight: 18 },
   routingSource: {
     fontSize: 11,
     color: "#6B7280",
     marginTop: 4,
     fontStyle: "italic",
   },
+  routingRefresh: { alignSelf: "flex-start", marginTop: 8 },
+  routingRefreshText: { fontSize: 13, fontWeight: "600", color: "#047857" },
+  routingRefreshing: { flexDirection: "row", alignItems: "center", gap: 6 },
 
   // Website Notice (when email not verified)
   websiteNotice: {
@@ -779,6 +2808,13 @@ const styles = StyleSheet.create({
     width: "100%",
     maxWidth: 340,
   },
+  cityCard: { alignItems: "stretch", padding: 24 },
+  cityTitle: { fontSize: 18, fontWeight: "700", color: C.text, marginBottom: 6 },
+  cityHint: { fontSize: 13, color: C.textSecondary, marginBottom: 14, lineHeight: 18 },
+  cityOption: { paddingVertical: 12, paddingHorizontal: 14, borderRadius: 10, marginTop: 6, backgroundColor: C.bg },
+  cityOptionActive: { backgroundColor: C.primaryLight },
+  cityOptionText: { fontSize: 15, color: C.text },
+  cityOptionTextActive: { color: C.primary, fontWeight: "600" },
   sentCheckCircle: {
     width: 64,
     height: 64,
@@ -802,4 +2838,46 @@ const styles = StyleSheet.create({
     alignItems: "center",
   },
   sentBtnText: { color: C.white, fontSize: 15, fontWeight: "600" },
+  sentLink: { marginTop: 14 },
+
+  // Emergency
+  phoneLine: {
+    backgroundColor: C.card,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: C.border,
+    paddingVertical: 16,
+    paddingHorizontal: 18,
+    marginBottom: 10,
+  },
+  phoneLineEmergency: { backgroundColor: C.error, borderColor: C.error },
+  phoneLineName: { fontSize: 16, fontWeight: "600", color: C.text },
+  phoneLineEmergencyText: { color: C.white },
+  phoneLineNumber: { fontSize: 14, color: C.textSecondary, marginTop: 4 },
+  sentLinkText: { color: C.primary, fontSize: 14, fontWeight: "600" },
+
+  // History
+  historyEmpty: { fontSize: 14, color: C.textSecondary, textAlign: "center" },
+  historyDate: { fontSize: 12, color: C.textLight },
+  historyDescription: { fontSize: 15, color: C.text, lineHeight: 21, marginTop: 8 },
+  historyMeta: { fontSize: 12, color: C.textSecondary, marginTop: 6 },
+  statusPill: {
+    fontSize: 12,
+    fontWeight: "600",
+    paddingHorizontal: 10,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  statusChips: { flexDirection: "row", flexWrap: "wrap", gap: 6, marginTop: 12 },
+  statusChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: C.border,
+  },
+  statusChipActive: { backgroundColor: C.primary, borderColor: C.primary },
+  statusChipText: { fontSize: 12, color: C.textSecondary, fontWeight: "500" },
+  statusChipTextActive: { color: C.white },
 });
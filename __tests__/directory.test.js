@@ -0,0 +1,40 @@
+import { lookupDirectory, topicMatches } from "../directory";
+
+const department = (topic) => lookupDirectory("Palo Alto, CA", topic)?.agency_name ?? null;
+
+describe("lookupDirectory", () => {
+  it.each([
+    ["pothole", "Public Works — Streets & Sidewalks"],
+    ["street light", "Utilities Department"],
+    ["streetlight", "Utilities Department"],
+    ["Broken streetlight", "Utilities Department"],
+    ["fallen trees", "Public Works — Urban Forestry"],
+    ["street", "Public Works — Streets & Sidewalks"],
+    ["parking meter", null],
+  ])("routes %p to %p", (topic, name) => {
+    expect(department(topic)).toBe(name);
+  });
+
+  it("only knows the bundled cities", () => {
+    expect(lookupDirectory("Springfield, IL", "pothole")).toBeNull();
+  });
+
+  it("treats an entry nobody has checked as a hint", () => {
+    const { evidence, confidence } = lookupDirectory("City of Palo Alto, CA", "pothole");
+    expect(evidence).toMatchObject({ last_verified: null, quoted_snippet: "" });
+    expect(confidence).toBeLessThan(1);
+  });
+});
+
+describe("topicMatches", () => {
+  it.each([
+    ["street light", "streetlight", true],
+    ["streetlight", "street light", true],
+    ["water", "water leak", true],
+    ["street light", "tree", false],
+    ["streetlight", "street", false],
+    ["potholes", "pothole", true],
+  ])("%p and %p → %p", (topic, keyword, expected) => {
+    expect(topicMatches(topic, keyword)).toBe(expected);
+  });
+});
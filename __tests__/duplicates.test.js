@@ -0,0 +1,63 @@
+import { checkForDuplicates } from "../duplicates";
+import { loadReports } from "../history";
+import { getOpen311Endpoint, findOpenRequestsNear } from "../open311";
+
+jest.mock("../api", () => ({ extractTopic: jest.fn(() => Promise.resolve("pothole")) }));
+jest.mock("../history", () => ({ loadReports: jest.fn() }));
+jest.mock("../open311", () => ({
+  ...jest.requireActual("../open311"),
+  getOpen311Endpoint: jest.fn(),
+  discoverServices: jest.fn(() => Promise.resolve([{ service_code: "pothole", service_name: "Pothole" }])),
+  findOpenRequestsNear: jest.fn(),
+}));
+
+const PALO_ALTO = { latitude: 37.4419, longitude: -122.143 };
+const MOUNTAIN_VIEW = { latitude: 37.3894, longitude: -122.0819 };
+const SERVER = { endpoint: "https://open311.example.gov/v2", jurisdiction_id: null };
+
+const openRequest = (location) => ({
+  service_request_id: "sr-1",
+  status: "open",
+  service_name: "Pothole",
+  description: "Pothole",
+  requested_datetime: new Date().toISOString(),
+  lat: location.latitude,
+  long: location.longitude,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getOpen311Endpoint.mockImplementation((jurisdiction) => (jurisdiction === "Palo Alto, CA" ? SERVER : null));
+  findOpenRequestsNear.mockImplementation((server, { location }) => Promise.resolve([openRequest(location)]));
+});
+
+describe("open service requests in duplicate checks", () => {
+  it("checks the report's own city on a fresh install", async () => {
+    loadReports.mockResolvedValue([]);
+    const { matches } = await checkForDuplicates({ description: "Pothole", location: PALO_ALTO });
+    expect(getOpen311Endpoint).toHaveBeenCalledWith("Palo Alto, CA");
+    expect(findOpenRequestsNear).toHaveBeenCalledWith(SERVER, expect.objectContaining({ location: PALO_ALTO }));
+    expect(matches.map((match) => match.kind)).toEqual(["service_request"]);
+  });
+
+  it("ignores the city of earlier reports", async () => {
+    loadReports.mockResolvedValue([
+      {
+        id: "r1",
+        status: "sent",
+        created_at: new Date().toISOString(),
+        location: PALO_ALTO,
+        routing: { jurisdiction: "Palo Alto, CA" },
+      },
+    ]);
+    await checkForDuplicates({ description: "Pothole", location: MOUNTAIN_VIEW });
+    expect(getOpen311Endpoint).toHaveBeenCalledWith("Mountain View, CA");
+    expect(findOpenRequestsNear).not.toHaveBeenCalled();
+  });
+
+  it("skips reports without coordinates", async () => {
+    loadReports.mockResolvedValue([]);
+    await checkForDuplicates({ description: "Pothole on Alma", location: null });
+    expect(getOpen311Endpoint).not.toHaveBeenCalled();
+  });
+});
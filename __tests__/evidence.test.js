@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+import { verifyEvidence, pageContainsEmail, isPrivateHost, hostOf } from "../evidence";
+import { createSourcePagesServer } from "../scripts/source-pages-stub";
+
+// The stub runs on localhost, which counts as official here so "verified" can be told apart
+let mockAllowPrivate = true;
+jest.mock("../config", () => {
+  const config = { ...jest.requireActual("../config"), VERIFY_SOURCE_PAGES: true, EXTRA_OFFICIAL_DOMAINS: ["localhost"] };
+  Object.defineProperty(config, "ALLOW_PRIVATE_SOURCE_PAGES", { get: () => mockAllowPrivate });
+  return config;
+});
+
+const EMAIL = "streets@mock-city.example.gov";
+
+let server;
+let base;
+
+beforeAll(async () => {
+  server = createSourcePagesServer({ slowMs: 2000 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+const check = (sourceUrl, options) =>
+  verifyEvidence({ email: EMAIL, evidence: { source_url: sourceUrl } }, options);
+
+describe("verifyEvidence against the source pages stub", () => {
+  it.each(["text", "mailto", "at", "cloudflare"])("finds the address shown as %s", async (show) => {
+    const result = await check(`${base}/page?email=${EMAIL}&show=${show}`);
+    expect(result).toMatchObject({ status: "verified", host: "localhost", official: true });
+  });
+
+  it("rejects a page that doesn't show the address", async () => {
+    const result = await check(`${base}/page?email=${EMAIL}&show=none`);
+    expect(result.status).toBe("not_found");
+    expect(result.reason).toBe(`localhost does not show ${EMAIL}`);
+  });
+
+  it("ignores addresses that only appear in scripts", async () => {
+    const result = await verifyEvidence({
+      email: "noreply@analytics.example.com",
+      evidence: { source_url: `${base}/page?show=text` },
+    });
+    expect(result.status).toBe("not_found");
+  });
+
+  it("can't check a PDF", async () => {
+    const result = await check(`${base}/pdf`);
+    expect(result.status).toBe("unreachable");
+    expect(result.reason).toBe("the source is not a web page (application/pdf)");
+  });
+
+  it("gives up on a slow page", async () => {
+    const result = await check(`${base}/slow`, { timeoutMs: 200 });
+    expect(result.status).toBe("unreachable");
+    expect(result.reason).toBe("the page took longer than 0.2s");
+  });
+
+  it("reads only the start of an endless page", async () => {
+    const result = await check(`${base}/endless?email=${EMAIL}`, { timeoutMs: 5000 });
+    expect(result.status).toBe("verified");
+  });
+
+  it("refuses a page that says it is too large", async () => {
+    const result = await check(`${base}/large`);
+    expect(result.status).toBe("unreachable");
+    expect(result.reason).toBe("the page is larger than 2 MB");
+  });
+
+  it.each([404, 403, 500])("treats HTTP %i as unreachable", async (status) => {
+    const result = await check(`${base}/status/${status}`);
+    expect(result.status).toBe("unreachable");
+    expect(result.reason).toBe(`the page returned HTTP ${status}`);
+  });
+
+  it("follows a redirect and judges the page where it landed", async () => {
+    const target = `http://127.0.0.1:${server.address().port}/page?email=${EMAIL}&show=text`;
+    const result = await check(`${base}/redirect?to=${encodeURIComponent(target)}`);
+    expect(result).toMatchObject({ status: "unofficial", host: "127.0.0.1", official: false });
+  });
+
+  it("follows a relative redirect on the same site", async () => {
+    const result = await check(`${base}/redirect?to=${encodeURIComponent(`/page?email=${EMAIL}&show=mailto`)}`);
+    expect(result.status).toBe("verified");
+  });
+
+  it("stops after too many redirects", async () => {
+    let url = `${base}/page?email=${EMAIL}`;
+    for (let i = 0; i < 6; i++) url = `${base}/redirect?to=${encodeURIComponent(url)}`;
+    const result = await check(url);
+    expect(result.status).toBe("unreachable");
+    expect(result.reason).toBe("the page redirected more than 5 times");
+  });
+
+  it("refuses local pages unless they are allowed", async () => {
+    mockAllowPrivate = false;
+    try {
+      const result = await check(`${base}/page?email=${EMAIL}&show=text`);
+      expect(result.status).toBe("unreachable");
+      expect(result.reason).toBe("localhost is not a public web address");
+    } finally {
+      mockAllowPrivate = true;
+    }
+  });
+
+  it("skips results without a web address", async () => {
+    expect((await check("file:///etc/hosts")).status).toBe("skipped");
+  });
+});
+
+describe("pageContainsEmail", () => {
+  it("survives malformed mailto links", () => {
+    expect(pageContainsEmail('<a href="mailto:50%off">Deals</a> <a href="mailto:a%40b.gov">Email</a>', "a@b.gov")).toBe(
+      true
+    );
+    expect(pageContainsEmail('<a href="mailto:%E0%A4%A">x</a>', "a@b.gov")).toBe(false);
+  });
+});
+
+describe("isPrivateHost", () => {
+  it.each([
+    "localhost",
+    "127.0.0.1",
+    "10.0.0.8",
+    "172.16.4.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "[::1]",
+    "[fe80::1]",
+    "[fd12::1]",
+    "[::ffff:7f00:1]",
+    "printer.local",
+    "intranet",
+  ])("refuses %s", (host) => {
+    expect(isPrivateHost(host)).toBe(true);
+  });
+
+  it.each(["cityofpaloalto.org", "8.8.8.8", "[2001:4860:4860::8888]", "fdic.gov"])("allows %s", (host) => {
+    expect(isPrivateHost(host)).toBe(false);
+  });
+
+  it("reads hosts the way fetch does", () => {
+    expect(hostOf("http://2130706433/")).toBe("127.0.0.1");
+    expect(hostOf("http://city.gov@127.0.0.1/")).toBe("127.0.0.1");
+    expect(hostOf("https://www.CityOfPaloAlto.org/x")).toBe("cityofpaloalto.org");
+  });
+});
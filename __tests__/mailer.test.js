@@ -0,0 +1,74 @@
+import { sendEmail, getFakeOutbox } from "../mailer";
+import { buildMimeMessage, imageMimeType } from "../mime";
+
+const message = {
+  to: "streets@cityofpaloalto.org",
+  cc: ["council@cityofpaloalto.org"],
+  bcc: ["me@example.com"],
+  subject: "Pothole on Alma",
+  body: "There is a large pothole.",
+};
+
+const headerLines = (mime) => mime.split("\r\n\r\n")[0].split("\r\n");
+
+describe("buildMimeMessage", () => {
+  it("keeps Bcc recipients out of the headers", () => {
+    const headers = headerLines(buildMimeMessage(message));
+    expect(headers).toContain("Cc: council@cityofpaloalto.org");
+    expect(headers.some((line) => /^bcc:/i.test(line))).toBe(false);
+    expect(buildMimeMessage(message)).not.toContain("me@example.com");
+  });
+
+  it("writes the Bcc header only when asked to", () => {
+    expect(headerLines(buildMimeMessage(message, { bccHeader: true }))).toContain("Bcc: me@example.com");
+  });
+
+  it.each([
+    ["To", { to: "a@b.gov\r\nBcc: spy@example.com" }],
+    ["Cc", { cc: ["a@b.gov\nX-Injected: 1"] }],
+    ["Subject", { subject: "Pothole\r\nBcc: spy@example.com" }],
+  ])("refuses a line break in the %s header", (name, changes) => {
+    const build = () => buildMimeMessage({ ...message, ...changes });
+    expect(build).toThrow(`The ${name} header can't contain a line break.`);
+  });
+
+  it("quotes the attachment name safely", () => {
+    const mime = buildMimeMessage({
+      ...message,
+      attachment: { filename: 'a"b\r\n.heic', mimeType: "image/heic", base64: "AAAA" },
+    });
+    expect(mime).toContain('Content-Type: image/heic; name="a_b__.heic"');
+  });
+});
+
+describe("imageMimeType", () => {
+  it.each([
+    ["IMG_0001.HEIC", "image/heic"],
+    ["photo.png", "image/png"],
+    ["photo.jpeg", "image/jpeg"],
+    ["photo", "image/jpeg"],
+  ])("%s → %s", (filename, type) => {
+    expect(imageMimeType(filename)).toBe(type);
+  });
+});
+
+describe("sendEmail", () => {
+  it.each([
+    [{ to: "" }, "The email has no recipient."],
+    [{ to: "streets@cityofpaloalto.org\r\nBcc: spy@example.com" }, /is not a valid email address/],
+    [{ to: "streets at city hall" }, '"streets at city hall" is not a valid email address.'],
+    [{ bcc: ["me@example.com", "not-an-address"] }, '"not-an-address" is not a valid email address.'],
+    [{ subject: "Pothole\nBcc: spy@example.com" }, "The subject can't contain a line break."],
+  ])("refuses %p", async (changes, error) => {
+    await expect(sendEmail({ ...message, ...changes })).rejects.toThrow(error);
+    expect(getFakeOutbox()).toEqual([]);
+  });
+
+  it("sends a valid message without a Bcc header", async () => {
+    const result = await sendEmail(message);
+    expect(result.transport).toBe("fake");
+    const [sent] = getFakeOutbox();
+    expect(sent.message.bcc).toEqual(["me@example.com"]);
+    expect(sent.mime).not.toContain("me@example.com");
+  });
+});
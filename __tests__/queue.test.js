@@ -0,0 +1,44 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { enqueueReport, loadQueue, cancelQueued, retryQueued } from "../queue";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("@react-native-community/netinfo", () => require("@react-native-community/netinfo/jest/netinfo-mock"));
+jest.mock("expo-notifications", () => ({
+  setNotificationHandler: jest.fn(),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: "granted" })),
+}));
+
+const STORAGE_KEY = "civicreport.queue.v1";
+const CORRUPT = '[{"id":"q_1","description":"Pothole on Alma"';
+
+const enqueue = (description) => enqueueReport({ description, location: null, photo: null });
+
+beforeEach(() => AsyncStorage.clear());
+
+it("adds reports to the stored queue", async () => {
+  await enqueue("Pothole on Alma");
+  await enqueue("Streetlight out on Bryant");
+  expect((await loadQueue()).map((item) => item.description)).toEqual([
+    "Pothole on Alma",
+    "Streetlight out on Bryant",
+  ]);
+});
+
+describe("a stored queue that can't be read", () => {
+  beforeEach(() => AsyncStorage.setItem(STORAGE_KEY, CORRUPT));
+
+  it("fails to load instead of showing an empty queue", async () => {
+    await expect(loadQueue()).rejects.toThrow(/^Could not read the reports saved for later/);
+  });
+
+  it.each([
+    ["adding a report", () => enqueue("Graffiti on the wall")],
+    ["cancelling a report", () => cancelQueued("q_1")],
+    ["retrying a report", () => retryQueued("q_1")],
+  ])("is kept, not wiped, when %s", async (_, action) => {
+    await expect(action()).rejects.toThrow(/^Could not read the reports saved for later/);
+    expect(await AsyncStorage.getItem(STORAGE_KEY)).toBe(CORRUPT);
+  });
+});
@@ -0,0 +1,57 @@
+import { scoreCandidate, rankCandidates } from "../ranking";
+
+const quoted = (email, sourceUrl, extra = {}) => ({
+  email,
+  fallback_level: "TOPIC_SPECIFIC",
+  evidence: { source_url: sourceUrl, quoted_snippet: `Email ${email}` },
+  source_verified: null,
+  ...extra,
+});
+
+describe("evidence value", () => {
+  it("doesn't treat a page quoting an address on its own domain as official", () => {
+    const { parts, reasons } = scoreCandidate(quoted("report@attacker.com", "https://attacker.com/contact"));
+    expect(parts.evidence).toBe(0.5);
+    expect(reasons[0]).toBe("quoted on a source page");
+  });
+
+  it.each(["https://www.cityofpaloalto.org/streets", "https://publicworks.springfield.gov/contact"])(
+    "counts a quote on %s as official",
+    (url) => {
+      const { parts, reasons } = scoreCandidate(quoted("streets@example.org", url));
+      expect(parts.evidence).toBe(0.8);
+      expect(reasons[0]).toBe("quoted on an official page");
+    }
+  );
+
+  it("trusts the fetched page over the quote", () => {
+    const candidate = quoted("pw@cityofpaloalto.org", "https://www.cityofpaloalto.org/pw");
+    expect(scoreCandidate({ ...candidate, source_verified: true }).parts.evidence).toBe(0.85);
+    expect(scoreCandidate({ ...candidate, source_verified: false }).parts.evidence).toBe(0.3);
+  });
+
+  it("only puts hand-checked curated contacts first", () => {
+    const curated = (lastVerified) => ({
+      email: "streets@cityofpaloalto.org",
+      fallback_level: "DIRECTORY",
+      evidence: {
+        source_url: "https://www.cityofpaloalto.org/streets",
+        directory_version: "1",
+        last_verified: lastVerified,
+      },
+    });
+    expect(scoreCandidate(curated("2026-10-01")).parts.evidence).toBe(1);
+    expect(scoreCandidate(curated(null)).parts.evidence).toBe(0.1);
+  });
+});
+
+describe("rankCandidates", () => {
+  it("ranks a city page above a same-domain page elsewhere", () => {
+    const ranked = rankCandidates([
+      quoted("report@attacker.com", "https://attacker.com/contact"),
+      quoted("streets@cityofpaloalto.org", "https://www.cityofpaloalto.org/streets"),
+    ]);
+    expect(ranked.map((c) => c.email)).toEqual(["streets@cityofpaloalto.org", "report@attacker.com"]);
+    expect(ranked[0].rank.score).toBeGreaterThan(ranked[1].rank.score);
+  });
+});
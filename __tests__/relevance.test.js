@@ -0,0 +1,152 @@
+import { scoreDepartment, RELEVANCE_RULES_VERSION } from "../relevance";
+import { departmentHint, getProfile } from "../jurisdictions";
+
+const score = (topic, agencyName, email, jurisdiction = null) =>
+  scoreDepartment({ topic, agencyName, email, jurisdiction });
+
+describe("deny rules", () => {
+  it.each([
+    ["pothole", "Human Resources", "jobs@city.gov", "human-resources"],
+    ["pothole", "City of Springfield", "hr@springfield.gov", "hr-inbox"],
+    ["pothole", "Office of Media Relations", "news@city.gov", "press"],
+    ["pothole", "City of Springfield", "press@springfield.gov", "press-inbox"],
+    ["pothole", "Visitor Center", "visit@city.gov", "tourism"],
+    ["pothole", "Business Licensing", "licensing@city.gov", "permits"],
+    ["pothole", "Graffiti Abatement Team", "graffiti@city.gov", "graffiti-team"],
+    ["streetlight", "Office of Sustainability", "green@city.gov", "sustainability"],
+  ])("rejects a %s report to %s <%s>", (topic, agencyName, email, rule) => {
+    const result = score(topic, agencyName, email);
+    expect(result.relevant).toBe(false);
+    expect(result.denied_by).toBe(rule);
+  });
+
+  it("lets `unless` exempt a street permits office from the permit rule", () => {
+    const result = score("pothole", "Street Permits & Maintenance", "streets@city.gov");
+    expect(result.denied_by).toBeNull();
+    expect(result.relevant).toBe(true);
+  });
+
+  it("only applies topic-limited rules to those topics", () => {
+    expect(score("graffiti", "Graffiti Abatement Team", "graffiti@city.gov").relevant).toBe(true);
+    expect(score("pothole", "Graffiti Abatement Team", "graffiti@city.gov").relevant).toBe(false);
+  });
+});
+
+describe("scores and the threshold", () => {
+  it("scores a matching department above the threshold", () => {
+    const result = score("pothole", "Public Works", "publicworks@city.gov");
+    expect(result.relevant).toBe(true);
+    expect(result.score).toBe(2);
+  });
+
+  it.each(["info@city.gov", "contact@city.gov", "webmaster@city.gov"])(
+    "does not accept the generic inbox %s on its own",
+    (email) => {
+      const result = score("pothole", "City of Springfield", email);
+      expect(result.score).toBe(-1);
+      expect(result.relevant).toBe(false);
+      expect(result.reasons[result.reasons.length - 1]).toMatch(/below the threshold of 0/);
+    }
+  );
+
+  it("accepts a generic inbox that a department keyword vouches for", () => {
+    const result = score("pothole", "Public Works Department", "info@city.gov");
+    expect(result.score).toBe(1);
+    expect(result.relevant).toBe(true);
+  });
+
+  it("accepts a neutral general contact", () => {
+    expect(score("pothole", "City Manager's Office", "citymanager@city.gov").relevant).toBe(true);
+  });
+
+  it("is not relevant without a department or an email", () => {
+    const result = score("pothole", "", "");
+    expect(result.relevant).toBe(false);
+    expect(result.reasons).toEqual(["No department or email to check"]);
+  });
+
+  it("reports the rules version", () => {
+    expect(score("pothole", "Public Works", "pw@city.gov").rules_version).toBe(RELEVANCE_RULES_VERSION);
+  });
+});
+
+describe("per-city rules", () => {
+  it("lets an allow rule win over a deny rule", () => {
+    const result = score(
+      "streetlight",
+      "Utilities Department — Permits",
+      "utilities@cityofpaloalto.org",
+      "Palo Alto, CA"
+    );
+    expect(result.denied_by).toBeNull();
+    expect(result.relevant).toBe(true);
+  });
+
+  it("denies PG&E for streetlights in Palo Alto only", () => {
+    expect(score("streetlight", "Pacific Gas and Electric", "help@pge.com", "Palo Alto, CA").denied_by).toBe("pge");
+    expect(score("streetlight", "Pacific Gas and Electric", "help@pge.com", "Mountain View, CA").denied_by).toBeNull();
+  });
+
+  it("counts the profile's department hint", () => {
+    const result = score("tree", "Public Works (Urban Forestry)", "trees@cityofpaloalto.org", "Palo Alto, CA");
+    expect(result.reasons[0]).toMatch(/^\+3 Public Works \(Urban Forestry\) handles tree reports here/);
+    expect(result.score).toBe(3 + 2 + 2 + 1);
+  });
+
+  it.each([
+    ["street light", "Utilities"],
+    ["streetlight", "Utilities"],
+    ["Broken streetlight", "Utilities"],
+    ["street light out on Alma", "Utilities"],
+    ["fallen trees", "Public Works (Urban Forestry)"],
+    ["water", "Utilities"],
+    ["street", null],
+    ["streetlight pole", "Utilities"],
+  ])("takes the hint for %p from whole words", (topic, department) => {
+    expect(departmentHint(getProfile("palo-alto-ca"), topic)).toBe(department);
+  });
+
+  it("gives the street light hint to Utilities, not Urban Forestry", () => {
+    const utilities = score("street light", "Utilities", "utilities@cityofpaloalto.org", "Palo Alto, CA");
+    const forestry = score(
+      "street light",
+      "Public Works (Urban Forestry)",
+      "trees@cityofpaloalto.org",
+      "Palo Alto, CA"
+    );
+    expect(utilities.reasons[0]).toMatch(/^\+3 Utilities handles street light reports here/);
+    expect(forestry.reasons.some((reason) => reason.includes("handles"))).toBe(false);
+  });
+
+  it("adds the official city address keyword", () => {
+    const local = score("pothole", "Public Works", "pw@mountainview.gov", "Mountain View, CA");
+    const elsewhere = score("pothole", "Public Works", "pw@mountainview.gov", "Menlo Park, CA");
+    expect(local.score - elsewhere.score).toBe(1);
+  });
+});
+
+describe("custom rule sets", () => {
+  const rules = {
+    version: "test",
+    threshold: 2,
+    defaults: {
+      deny: [{ id: "parking", match: ["parking"], reason: "parking enforcement" }],
+      allow: [{ id: "parking-streets", match: ["parking"], topics: ["pothole"], weight: 2 }],
+      keywords: [{ pattern: "^streets@", field: "email", weight: 1 }],
+    },
+  };
+
+  it("uses the given threshold", () => {
+    const result = scoreDepartment({ topic: "noise", agencyName: "Streets", email: "streets@city.gov" }, rules);
+    expect(result.score).toBe(1);
+    expect(result.relevant).toBe(false);
+    expect(result.rules_version).toBe("test");
+  });
+
+  it("limits allow rules to their topics", () => {
+    const pothole = scoreDepartment({ topic: "pothole", agencyName: "Parking & Streets", email: "p@city.gov" }, rules);
+    const noise = scoreDepartment({ topic: "noise", agencyName: "Parking & Streets", email: "p@city.gov" }, rules);
+    expect(pothole.relevant).toBe(true);
+    expect(noise.denied_by).toBe("parking");
+  });
+});
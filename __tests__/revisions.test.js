@@ -0,0 +1,22 @@
+import { diffWords, splitDiff } from "../revisions";
+
+const join = (segments) => segments.map((segment) => segment.text).join("");
+
+describe("splitDiff", () => {
+  it("rebuilds both versions from a word diff", () => {
+    const before = "The pothole on Main St is deep.";
+    const after = "The pothole on Main Street is very deep.";
+    const { before: left, after: right } = splitDiff(diffWords(before, after));
+    expect(join(left)).toBe(before);
+    expect(join(right)).toBe(after);
+  });
+
+  it("marks removed words only on the before side and added words only on the after side", () => {
+    const { before, after } = splitDiff(diffWords("please fix it", "please fix it soon"));
+    expect(before.map((segment) => segment.type)).toEqual(["same"]);
+    expect(after).toEqual([
+      { type: "same", text: "please fix it" },
+      { type: "added", text: " soon" },
+    ]);
+  });
+});
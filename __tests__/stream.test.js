@@ -0,0 +1,34 @@
+import { parseStreamJSON, sseData, partialJsonString } from "../stream";
+import { NetworkError } from "../errors";
+
+describe("parseStreamJSON", () => {
+  it("parses a complete line", () => {
+    expect(parseStreamJSON("Ollama", '{"response":"Hi","done":false}')).toEqual({ response: "Hi", done: false });
+  });
+
+  it.each(['{"response":"Hi"', "garbled", ""])("throws a NetworkError for %p", (line) => {
+    expect(() => parseStreamJSON("Ollama", line)).toThrow(NetworkError);
+    expect(() => parseStreamJSON("Ollama", line)).toThrow(/^Ollama stream sent an unreadable line/);
+  });
+});
+
+describe("sseData", () => {
+  it("returns the payload of data lines only", () => {
+    expect(sseData("Gemini", 'data: {"a":1}')).toEqual({ a: 1 });
+    expect(sseData("Gemini", "event: ping")).toBeNull();
+    expect(sseData("OpenAI", "data: [DONE]")).toBeNull();
+  });
+
+  it("throws a NetworkError for a garbled payload", () => {
+    expect(() => sseData("OpenAI", 'data: {"choices":[')).toThrow(NetworkError);
+  });
+});
+
+describe("partialJsonString", () => {
+  it("reads a string field that is still arriving", () => {
+    expect(partialJsonString('{"subject":"Pothole","body":"Hello,\\nThere is a pot', "body")).toBe(
+      "Hello,\nThere is a pot"
+    );
+    expect(partialJsonString('{"subject":"Pot', "body")).toBe("");
+  });
+});
@@ -0,0 +1,150 @@
+import { triageReport, hazardLines, telURL } from "../triage";
+import { getProfile } from "../jurisdictions";
+
+const level = (description, topic = null) => triageReport({ description, topic }).level;
+
+describe("triageReport", () => {
+  it.each([
+    ["I smell gas near the school", "gas-leak"],
+    ["Power line is down on Middlefield", "downed-line"],
+    ["The transformer on the pole is smoking", "transformer"],
+    ["Flames coming out of a dumpster", "fire"],
+    ["A cyclist was hit by a car and is lying in the road", "injury"],
+  ])("flags %p as an emergency", (description, rule) => {
+    const result = triageReport({ description });
+    expect(result.level).toBe("emergency");
+    expect(result.matched[0]).toBe(rule);
+  });
+
+  it.each([
+    ["Exposed wiring at the base of the streetlight", "exposed-wiring"],
+    ["Water is gushing out of the street", "water-main"],
+    ["Raw sewage in the gutter", "sewage"],
+    ["The traffic light is out at Embarcadero and El Camino", "signal-out"],
+    ["A tree fell across the road", "road-blocked"],
+    ["Missing manhole cover on Page Mill", "open-hole"],
+  ])("flags %p as urgent", (description, rule) => {
+    const result = triageReport({ description });
+    expect(result.level).toBe("urgent");
+    expect(result.matched).toContain(rule);
+  });
+
+  it("leaves ordinary reports routine", () => {
+    const result = triageReport({ description: "Large pothole on Alma near the station" });
+    expect(result).toMatchObject({ level: "routine", hazard: null, reasons: [], matched: [] });
+  });
+
+  describe("`unless` phrases only excuse the match they overlap", () => {
+    it.each([
+      "The fire hydrant on Cowper is leaking",
+      "Cars keep parking in the fire lane",
+      "Graffiti on the wall of the fire station",
+      "Car crash on Oregon Expressway, no injuries",
+      "Fender bender, nobody was injured",
+      "Downed cable tv line across the sidewalk",
+    ])("%p stays routine", (description) => {
+      expect(level(description)).toBe("routine");
+    });
+
+    it.each([
+      ["A car is on fire next to the fire station on Alma", "fire"],
+      ["Two cars crashed, one driver is bleeding, the other not injured", "injury"],
+      ["Downed power line sparking, also my phone line is out", "downed-line"],
+      ["The fire hydrant was knocked over and the car is on fire", "fire"],
+    ])("%p is still an emergency", (description, rule) => {
+      const result = triageReport({ description });
+      expect(result.level).toBe("emergency");
+      expect(result.matched).toContain(rule);
+    });
+  });
+
+  it("lets the most severe rule decide and lists every rule that fired", () => {
+    const result = triageReport({ description: "Tree fell across the road and the power line is down" });
+    expect(result.level).toBe("emergency");
+    expect(result.hazard).toBe("electrical");
+    expect(result.matched).toEqual(["downed-line", "road-blocked"]);
+  });
+
+  it("matches the topic as well as the description", () => {
+    expect(level("See photo", "gas leak")).toBe("emergency");
+  });
+
+  it("uses the given rules", () => {
+    const rules = { version: "test", rules: [{ id: "ice", level: "urgent", hazard: "traffic", pattern: "\\bice\\b" }] };
+    expect(triageReport({ description: "Ice on the bridge" }, rules)).toMatchObject({
+      level: "urgent",
+      matched: ["ice"],
+      rules_version: "test",
+    });
+  });
+});
+
+describe("hazardLines", () => {
+  const paloAlto = getProfile("palo-alto-ca");
+  const mountainView = getProfile("mountain-view-ca");
+  const checked = (profile) => ({
+    ...profile,
+    phone_lines: Object.fromEntries(
+      Object.entries(profile.phone_lines).map(([id, line]) => [
+        id,
+        { ...line, source_title: `${line.name} page`, source_url: "https://example.gov/contact", last_verified: "2026-10-01" },
+      ])
+    ),
+  });
+
+  it("offers nothing for routine reports", () => {
+    expect(hazardLines(triageReport({ description: "Pothole" }), paloAlto)).toEqual([]);
+  });
+
+  it("starts emergencies with 911, then the utility line that takes the hazard", () => {
+    const lines = hazardLines(
+      triageReport({ description: "Water main break, and a power line is down" }),
+      checked(paloAlto)
+    );
+    expect(lines.map((line) => line.id)).toEqual(["emergency", "utility_hazard", "police_non_emergency"]);
+    expect(lines[0]).toMatchObject({ phone: "911", source_url: null });
+  });
+
+  it("skips a utility line that doesn't take the hazard", () => {
+    const lines = hazardLines(triageReport({ description: "Raw sewage on the sidewalk" }), checked(mountainView));
+    expect(lines.map((line) => line.id)).toEqual(["police_non_emergency"]);
+  });
+
+  it("gives each profile line the page it was checked on", () => {
+    const lines = hazardLines(triageReport({ description: "I smell gas" }), checked(paloAlto));
+    expect(lines.find((line) => line.id === "police_non_emergency")).toMatchObject({
+      phone: "650-329-2413",
+      source_url: "https://example.gov/contact",
+      last_verified: "2026-10-01",
+    });
+  });
+
+  it("leaves out profile numbers nobody has checked", () => {
+    expect(hazardLines(triageReport({ description: "I smell gas" }), paloAlto).map((line) => line.id)).toEqual([
+      "emergency",
+    ]);
+    expect(hazardLines(triageReport({ description: "Raw sewage on the sidewalk" }), mountainView)).toEqual([]);
+  });
+
+  it("leaves out a dated line without a source page", () => {
+    const profile = checked(paloAlto);
+    profile.phone_lines.police_non_emergency.source_url = null;
+    expect(hazardLines(triageReport({ description: "I smell gas" }), profile).map((line) => line.id)).toEqual([
+      "emergency",
+      "utility_hazard",
+    ]);
+  });
+
+  it("still offers 911 without a profile", () => {
+    expect(hazardLines(triageReport({ description: "House on fire" }), null).map((line) => line.id)).toEqual([
+      "emergency",
+    ]);
+  });
+});
+
+describe("telURL", () => {
+  it("keeps only digits and a leading +", () => {
+    expect(telURL("650-329-2413")).toBe("tel:6503292413");
+    expect(telURL("+1 (800) 743-5000")).toBe("tel:+18007435000");
+  });
+});
@@ -0,0 +1,138 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { API_MODE, PROXY_URL } from "./config.js";
+import * as direct from "./gemini.js";
+import { streamLines, parseStreamJSON } from "./stream.js";
+import { createRouteCache } from "./route-cache.js";
+import {
+  LLMError,
+  RateLimitedError,
+  BlockedError,
+  TruncatedError,
+  ParseFailedError,
+  NetworkError,
+  TimeoutError,
+} from "./errors.js";
+
+/**
+ * The model-backed calls the app makes, in either API_MODE:
+ *
+ * - "direct": run gemini.js on the device, calling the provider with the keys in config.js.
+ * - "proxy": POST to the routing proxy (server/) at PROXY_URL, which runs the
+ *   same pipeline with keys that never leave the server.
+ *
+ * Both modes take the same arguments and resolve or reject the same way:
+ * progress events reach `onProgress`, aborting `signal` rejects with an
+ * AbortError, and failures are errors.js types (with `trace` when drafting fails).
+ *
+ * Validated routing results are cached per jurisdiction and topic: on the device
+ * in direct mode, and on the proxy (shared by every device) in proxy mode.
+ */
+
+const routeCache = createRouteCache(AsyncStorage);
+
+function useProxy() {
+  if (API_MODE === "direct") return false;
+  if (API_MODE === "proxy") return true;
+  throw new Error(`Unknown API_MODE "${API_MODE}". Expected "direct" or "proxy"`);
+}
+
+/**
+ * The errors.js error the proxy reported, rebuilt so callers can tell the kinds apart
+ */
+function proxyError({ name, message, status, retryAfterMs, reason }) {
+  switch (name) {
+    case "RateLimitedError":
+      return new RateLimitedError(message, { status: status ?? 429, retryAfterMs });
+    case "BlockedError":
+      return new BlockedError(message, { reason });
+    case "TruncatedError":
+      return new TruncatedError(message);
+    case "ParseFailedError":
+      return new ParseFailedError(message);
+    case "TimeoutError":
+      return new TimeoutError(message);
+    case "NetworkError":
+      return new NetworkError(message, { status });
+    default:
+      return new LLMError(message, { status });
+  }
+}
+
+/**
+ * POST to a proxy endpoint and read its NDJSON reply: progress events go to
+ * `onProgress`, then the final line resolves with the result or throws the error
+ */
+async function callProxy(path, body, { signal = null, onProgress = null } = {}) {
+  if (!PROXY_URL) throw new LLMError('API_MODE is "proxy" but PROXY_URL is empty in config.js');
+
+  let outcome = null;
+  const url = `${PROXY_URL.replace(/\/+$/, "")}${path}`;
+  await streamLines("Proxy", url, { body, signal }, (line) => {
+    if (!line.trim()) return;
+    const event = parseStreamJSON("Proxy", line);
+    if (event.type === "result" || event.type === "error") {
+      outcome = event;
+      return;
+    }
+    try {
+      onProgress?.(event);
+    } catch (e) {
+      console.warn("Progress listener failed:", e);
+    }
+  });
+
+  if (!outcome) throw new NetworkError("Proxy response ended before the result arrived");
+  if (outcome.type === "error") {
+    const error = proxyError(outcome.error);
+    if (outcome.trace) error.trace = outcome.trace;
+    throw error;
+  }
+  return outcome.result;
+}
+
+/**
+ * Route a report and draft the email; see generateEmailDraft in gemini.js.
+ * `refreshRouting` ignores (and replaces) the cached routing for the report's topic.
+ */
+export function generateEmailDraft(
+  report,
+  { signal = null, onProgress = null, timeoutMs, refreshRouting = false } = {}
+) {
+  if (!useProxy()) {
+    return direct.generateEmailDraft(report, { signal, onProgress, timeoutMs, routeCache, refreshRouting });
+  }
+  return callProxy("/draft", { report, timeoutMs, refreshRouting }, { signal, onProgress });
+}
+
+/**
+ * Look the recipient up again without redrafting; see refreshContact in gemini.js
+ */
+export function refreshContact(report, { signal = null, onProgress = null, timeoutMs } = {}) {
+  if (!useProxy()) return direct.refreshContact(report, { signal, onProgress, timeoutMs, routeCache });
+  return callProxy("/refresh", { report, timeoutMs }, { signal, onProgress });
+}
+
+/**
+ * Revise a draft from a suggestion; see reviseEmailDraft in gemini.js
+ */
+export function reviseEmailDraft(revision, { signal = null, timeoutMs } = {}) {
+  if (!useProxy()) return direct.reviseEmailDraft(revision, { signal, timeoutMs });
+  return callProxy("/revise", { revision, timeoutMs }, { signal });
+}
+
+/**
+ * Find the council member to suggest as a CC; see suggestCouncilMember in gemini.js
+ */
+export function suggestCouncilMember(lookup, { signal = null, timeoutMs } = {}) {
+  if (!useProxy()) return direct.suggestCouncilMember(lookup, { signal, timeoutMs });
+  return callProxy("/council", { lookup, timeoutMs }, { signal });
+}
+
+/**
+ * The issue topic for a description (and photo), as used by the duplicate check
+ */
+export async function extractTopic(description, image = null, signal = null) {
+  if (!useProxy()) return direct.extractTopic(description, image, null, signal);
+  const { topic } = await callProxy("/topic", { description, image }, { signal });
+  return topic;
+}
@@ -0,0 +1,127 @@
+import boundaries from "./data/boundaries.js";
+
+/**
+ * Ray-casting test for one ring of [longitude, latitude] points
+ */
+function pointInRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = yi > latitude !== yj > latitude && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Inside the outline and outside every hole
+ */
+export function pointInPolygon({ latitude, longitude }, rings) {
+  const [outline, ...holes] = rings;
+  return pointInRing(longitude, latitude, outline) && !holes.some((hole) => pointInRing(longitude, latitude, hole));
+}
+
+const METERS_PER_DEGREE = 111320;
+
+// Points around the location checked by jurisdictionsNear: 16 directions at half and full `accuracy_m`
+const PROBE_DIRECTIONS = 16;
+const PROBE_RADII = [0.5, 1];
+
+function districtsAt(point) {
+  return boundaries.special_districts
+    .filter((d) => pointInPolygon(point, d.geometry))
+    .map(({ name, topics }) => ({ name, topics }));
+}
+
+/**
+ * The boundary a point falls in: the first matching city, otherwise the county
+ * (unincorporated land), as { entry, kind }, or null
+ */
+function boundaryAt(point) {
+  const city = boundaries.cities.find((c) => pointInPolygon(point, c.geometry));
+  if (city) return { entry: city, kind: "city" };
+  const county = boundaries.counties.find((c) => pointInPolygon(point, c.geometry));
+  return county ? { entry: county, kind: "county" } : null;
+}
+
+function describeBoundary({ entry, kind }, point) {
+  return {
+    jurisdiction: `${entry.name}, ${entry.state}`,
+    kind,
+    name: entry.name,
+    state: entry.state,
+    county: kind === "city" ? entry.county : entry.name,
+    special_districts: districtsAt(point),
+    source: "boundary",
+    boundaries_version: boundaries.version,
+  };
+}
+
+/**
+ * Every jurisdiction the point may be in, given that the outlines can be off
+ * by up to `accuracy_m`: the one it falls in, then any other found within
+ * that distance, nearer first. Empty outside every bundled boundary.
+ */
+function jurisdictionsNear(point) {
+  const match = boundaryAt(point);
+  if (!match) return [];
+
+  const found = [match];
+  const metersToLongitude = METERS_PER_DEGREE * Math.cos((point.latitude * Math.PI) / 180);
+  for (const radius of PROBE_RADII) {
+    const meters = radius * boundaries.accuracy_m;
+    for (let i = 0; i < PROBE_DIRECTIONS; i++) {
+      const angle = (2 * Math.PI * i) / PROBE_DIRECTIONS;
+      const probe = boundaryAt({
+        latitude: point.latitude + (meters * Math.sin(angle)) / METERS_PER_DEGREE,
+        longitude: point.longitude + (meters * Math.cos(angle)) / metersToLongitude,
+      });
+      if (probe && !found.some((f) => f.entry === probe.entry)) found.push(probe);
+    }
+  }
+  return found.map((boundary) => describeBoundary(boundary, point));
+}
+
+/**
+ * Resolve coordinates against the bundled boundaries. A city match wins;
+ * otherwise the point is unincorporated land governed by its county.
+ * Returns null outside every bundled boundary.
+ *
+ * Within `accuracy_m` of a border the result is flagged `near_border`, with
+ * the other jurisdictions it may be in as `alternatives`; see borderChoices.
+ * A `jurisdiction` ("City, ST") on the point that the user picked from those
+ * choices is used instead (`source: "user"`).
+ */
+export function resolveJurisdiction(point) {
+  const [match, ...others] = jurisdictionsNear(point);
+  if (!match) return null;
+
+  const chosen = point.jurisdiction && [match, ...others].find((j) => j.jurisdiction === point.jurisdiction);
+  if (chosen) return { ...chosen, source: "user" };
+  if (!others.length) return match;
+  return { ...match, near_border: true, alternatives: others.map((j) => j.jurisdiction) };
+}
+
+/**
+ * The jurisdictions to ask the user to pick from when a point is too close to
+ * a border for the bundled outlines to settle it (most likely first), or []
+ * when they do or the user has already picked one
+ */
+export function borderChoices(point) {
+  if (typeof point?.latitude !== "number" || typeof point?.longitude !== "number") return [];
+  const choices = jurisdictionsNear(point);
+  if (choices.length < 2 || choices.some((j) => j.jurisdiction === point.jurisdiction)) return [];
+  return choices;
+}
+
+/**
+ * What the bundled data knows about a named city (kind and county), for
+ * jurisdictions found some other way. Returns null for unknown names.
+ */
+export function describeCity(name, state) {
+  const city = boundaries.cities.find(
+    (c) => c.name.toLowerCase() === (name || "").toLowerCase().trim() && c.state === (state || "").toUpperCase().trim()
+  );
+  return city ? { kind: "city", county: city.county } : null;
+}
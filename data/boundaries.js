@@ -0,0 +1,168 @@
+/**
+ * Bundled jurisdiction boundaries used to resolve a report's coordinates
+ * without asking the model.
+ *
+ * Outlines are simplified (a few dozen meters to a few hundred meters off near
+ * the edges) and cover the demo area around Palo Alto. Replace them with the
+ * official city/county boundary files before relying on them elsewhere.
+ * `accuracy_m` is how far off they may be: a point that close to a border is
+ * ambiguous, and the app asks the user which side it is on (see boundaries.js).
+ * Lower it when the outlines are replaced with official ones.
+ *
+ * Geometry is GeoJSON order: rings of [longitude, latitude]; the first ring is
+ * the outline and any further rings are holes (e.g. unincorporated Stanford
+ * inside Palo Alto's outline). `kind` is "city", "county" or "special_district".
+ * Cities are checked in order and the first match wins, so list enclaves first.
+ */
+// Santa Clara / San Mateo county line, bay to ridge (roughly San Francisquito Creek)
+const COUNTY_LINE = [
+  [-122.1000, 37.4700],
+  [-122.1200, 37.4650],
+  [-122.1560, 37.4640],
+  [-122.1700, 37.4450],
+  [-122.1900, 37.4330],
+  [-122.2050, 37.4000],
+  [-122.2400, 37.3800],
+  [-122.2900, 37.3600],
+];
+
+const SANTA_CLARA_COUNTY = [
+  [
+    ...COUNTY_LINE,
+    [-122.1500, 37.2700],
+    [-121.9500, 37.1500],
+    [-121.5800, 36.9000],
+    [-121.2100, 37.1600],
+    [-121.4700, 37.4800],
+    [-121.9300, 37.4850],
+  ],
+];
+
+const SAN_MATEO_COUNTY = [
+  [
+    ...[...COUNTY_LINE].reverse(),
+    [-122.2000, 37.5500],
+    [-122.3600, 37.7100],
+    [-122.5200, 37.7100],
+    [-122.4200, 37.1100],
+    [-122.3200, 37.1100],
+  ],
+];
+
+export default {
+  version: "2026.10.2",
+
+  accuracy_m: 400,
+
+  cities: [
+    {
+      id: "east-palo-alto-ca",
+      name: "East Palo Alto",
+      state: "CA",
+      county: "San Mateo County",
+      geometry: [
+        [
+          [-122.1560, 37.4640],
+          [-122.1420, 37.4830],
+          [-122.1130, 37.4800],
+          [-122.1040, 37.4690],
+          [-122.1200, 37.4650],
+        ],
+      ],
+    },
+    {
+      id: "menlo-park-ca",
+      name: "Menlo Park",
+      state: "CA",
+      county: "San Mateo County",
+      geometry: [
+        [
+          [-122.2300, 37.4300],
+          [-122.1900, 37.4330],
+          [-122.1700, 37.4450],
+          [-122.1560, 37.4640],
+          [-122.1420, 37.4830],
+          [-122.1500, 37.4950],
+          [-122.1900, 37.5000],
+          [-122.2300, 37.4700],
+        ],
+      ],
+    },
+    {
+      id: "palo-alto-ca",
+      name: "Palo Alto",
+      state: "CA",
+      county: "Santa Clara County",
+      geometry: [
+        [
+          [-122.1700, 37.4450],
+          [-122.1560, 37.4640],
+          [-122.1200, 37.4650],
+          [-122.1040, 37.4690],
+          [-122.0960, 37.4400],
+          [-122.1150, 37.4050],
+          [-122.1300, 37.3700],
+          [-122.1900, 37.3600],
+          [-122.2050, 37.4000],
+          [-122.1900, 37.4330],
+        ],
+        // Stanford University lands (unincorporated Santa Clara County)
+        [
+          [-122.1880, 37.4320],
+          [-122.1690, 37.4440],
+          [-122.1580, 37.4360],
+          [-122.1500, 37.4240],
+          [-122.1560, 37.4050],
+          [-122.1850, 37.4000],
+        ],
+      ],
+    },
+    {
+      id: "mountain-view-ca",
+      name: "Mountain View",
+      state: "CA",
+      county: "Santa Clara County",
+      geometry: [
+        [
+          [-122.0960, 37.4400],
+          [-122.0500, 37.4300],
+          [-122.0350, 37.3900],
+          [-122.0700, 37.3600],
+          [-122.1300, 37.3700],
+          [-122.1150, 37.4050],
+        ],
+      ],
+    },
+  ],
+
+  counties: [
+    { id: "santa-clara-county-ca", name: "Santa Clara County", state: "CA", geometry: SANTA_CLARA_COUNTY },
+    { id: "san-mateo-county-ca", name: "San Mateo County", state: "CA", geometry: SAN_MATEO_COUNTY },
+  ],
+
+  // Overlap cities and counties; shown alongside the jurisdiction for the topics they handle
+  special_districts: [
+    {
+      id: "valley-water",
+      name: "Santa Clara Valley Water District",
+      state: "CA",
+      topics: ["creek", "flooding", "levee", "stream", "water supply"],
+      geometry: SANTA_CLARA_COUNTY,
+    },
+    {
+      id: "midpen-open-space",
+      name: "Midpeninsula Regional Open Space District",
+      state: "CA",
+      topics: ["trail", "open space", "preserve"],
+      geometry: [
+        [
+          [-122.2900, 37.3600],
+          [-122.1900, 37.3600],
+          [-122.1300, 37.3000],
+          [-122.2000, 37.2500],
+          [-122.3200, 37.3000],
+        ],
+      ],
+    },
+  ],
+};
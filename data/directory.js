@@ -0,0 +1,99 @@
+/**
+ * Curated department directory consulted before any web search.
+ *
+ * jurisdictions → departments → topics → contact.
+ * Bump `version` whenever an entry is added, changed or re-verified. Set
+ * `last_verified` (YYYY-MM-DD) only after finding the address on `source_url`
+ * yourself; until then it is null and the entry is only a routing hint: its
+ * page is checked and it is ranked like any search result. No bundled entry
+ * has been checked yet.
+ * A jurisdiction that accepts Open311 GeoReport v2 service requests can also list
+ * `open311: { endpoint, jurisdiction_id }`.
+ */
+export default {
+  version: "2026.10.2",
+
+  jurisdictions: [
+    {
+      id: "palo-alto-ca",
+      name: "Palo Alto",
+      state: "CA",
+      aliases: ["City of Palo Alto"],
+
+      departments: [
+        {
+          name: "Public Works — Streets & Sidewalks",
+          topics: ["pothole", "street", "road", "pavement", "sidewalk", "curb", "crosswalk", "street sweeping"],
+          contact: {
+            email: "pwd@cityofpaloalto.org",
+            source_title: "Public Works | City of Palo Alto",
+            source_url: "https://www.cityofpaloalto.org/Departments/Public-Works",
+            last_verified: null,
+          },
+        },
+        {
+          name: "Public Works — Urban Forestry",
+          topics: ["tree", "fallen tree", "branch", "tree trimming", "stump"],
+          contact: {
+            email: "pwd@cityofpaloalto.org",
+            source_title: "Urban Forestry | City of Palo Alto",
+            source_url: "https://www.cityofpaloalto.org/Departments/Public-Works/Public-Services/Trees",
+            last_verified: null,
+          },
+        },
+        {
+          name: "Public Works — Environmental Services",
+          topics: ["trash", "illegal dumping", "litter", "recycling", "compost"],
+          contact: {
+            email: "zerowaste@cityofpaloalto.org",
+            source_title: "Zero Waste | City of Palo Alto",
+            source_url: "https://www.cityofpaloalto.org/Departments/Public-Works/Zero-Waste",
+            last_verified: null,
+          },
+        },
+        {
+          name: "Utilities Department",
+          topics: ["water leak", "water", "sewer", "power outage", "streetlight", "gas", "electric", "storm drain"],
+          contact: {
+            email: "utilities@cityofpaloalto.org",
+            source_title: "Utilities | City of Palo Alto",
+            source_url: "https://www.cityofpaloalto.org/Departments/Utilities",
+            last_verified: null,
+          },
+        },
+        {
+          name: "Planning & Development Services — Code Enforcement",
+          topics: ["code violation", "abandoned vehicle", "noise", "property maintenance", "overgrown", "graffiti"],
+          contact: {
+            email: "code.enforcement@cityofpaloalto.org",
+            source_title: "Code Enforcement | City of Palo Alto",
+            source_url: "https://www.cityofpaloalto.org/Departments/Planning-Development-Services/Code-Enforcement",
+            last_verified: null,
+          },
+        },
+      ],
+
+      // Used instead of a PASS C search when no department matches the topic
+      general: {
+        name: "City Manager's Office",
+        contact: {
+          email: "city.manager@cityofpaloalto.org",
+          source_title: "City Manager | City of Palo Alto",
+          source_url: "https://www.cityofpaloalto.org/Departments/City-Manager",
+          last_verified: null,
+        },
+      },
+
+      // Suggested as a CC. Palo Alto's council is elected at-large, so there is one shared address.
+      council: {
+        name: "Palo Alto City Council",
+        contact: {
+          email: "city.council@cityofpaloalto.org",
+          source_title: "City Council | City of Palo Alto",
+          source_url: "https://www.cityofpaloalto.org/Government/City-Council",
+          last_verified: null,
+        },
+      },
+    },
+  ],
+};
@@ -0,0 +1,149 @@
+/**
+ * Jurisdiction profiles: the cities the app is set up for, selectable from the
+ * app bar and picked automatically from the report's location.
+ *
+ * - `region`: where the map picker opens
+ * - `fallback_contact`: used when every search pass comes up empty, instead of
+ *   a guess. `last_verified` works as in data/directory.js.
+ * - `preferred_channels`: "open311" and/or "email", best first; the email
+ *   screen starts on the first one that is available for the report
+ * - `department_hints`: topic keyword → the department that handles it here.
+ *   Given to the search prompts, and a candidate from the hinted department
+ *   scores higher and is never denied by the relevance rules.
+ * - `phone_lines`: offered instead of an email for hazards (see triage.js).
+ *   `utility_hazard.hazards` lists the triage hazard kinds its line takes.
+ *   A line is only offered once someone has checked the number on the agency's
+ *   own page: set `source_title` and `source_url` to that page and
+ *   `last_verified` to the date. Until then the app offers 911 alone for
+ *   emergencies; none of the numbers below have been checked yet.
+ *
+ * Per-city allow/deny rules live in data/relevance-rules.json under the profile id.
+ *
+ * Bump `version` when a profile changes.
+ */
+export default {
+  version: "2026.10.4",
+
+  profiles: [
+    {
+      id: "palo-alto-ca",
+      name: "Palo Alto",
+      state: "CA",
+      region: { latitude: 37.4443, longitude: -122.1598, latitudeDelta: 0.02, longitudeDelta: 0.02 },
+      fallback_contact: {
+        name: "City Manager's Office",
+        contact: {
+          email: "city.manager@cityofpaloalto.org",
+          source_title: "City Manager | City of Palo Alto",
+          source_url: "https://www.cityofpaloalto.org/Departments/City-Manager",
+          last_verified: null,
+        },
+      },
+      preferred_channels: ["open311", "email"],
+      phone_lines: {
+        police_non_emergency: {
+          name: "Palo Alto Police (non-emergency)",
+          phone: "650-329-2413",
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+        // The city's own utilities answer electric, gas, water and sewer emergencies
+        utility_hazard: {
+          name: "City of Palo Alto Utilities (24-hour)",
+          phone: "650-329-2579",
+          hazards: ["electrical", "gas", "water", "sewer"],
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+      },
+      department_hints: {
+        pothole: "Public Works",
+        sidewalk: "Public Works",
+        tree: "Public Works (Urban Forestry)",
+        trash: "Public Works (Environmental Services)",
+        "illegal dumping": "Public Works (Environmental Services)",
+        // The city runs its own electric and water utilities
+        streetlight: "Utilities",
+        "power outage": "Utilities",
+        "water leak": "Utilities",
+        sewer: "Utilities",
+        graffiti: "Code Enforcement",
+        "abandoned vehicle": "Code Enforcement",
+      },
+    },
+    {
+      id: "mountain-view-ca",
+      name: "Mountain View",
+      state: "CA",
+      region: { latitude: 37.3894, longitude: -122.0819, latitudeDelta: 0.03, longitudeDelta: 0.03 },
+      fallback_contact: {
+        name: "City Manager's Office",
+        contact: {
+          email: "city.mgr@mountainview.gov",
+          source_title: "City Manager's Office | City of Mountain View",
+          source_url: "https://www.mountainview.gov/our-city/departments/city-manager-s-office",
+          last_verified: null,
+        },
+      },
+      preferred_channels: ["email"],
+      phone_lines: {
+        police_non_emergency: {
+          name: "Mountain View Police (non-emergency)",
+          phone: "650-903-6395",
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+        utility_hazard: {
+          name: "PG&E gas and electric emergencies",
+          phone: "1-800-743-5000",
+          hazards: ["electrical", "gas"],
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+      },
+      department_hints: {
+        pothole: "Public Works",
+        sidewalk: "Public Works",
+        streetlight: "Public Works",
+        tree: "Community Services (Forestry)",
+        graffiti: "Community Services",
+        sewer: "Public Works",
+      },
+    },
+    {
+      id: "menlo-park-ca",
+      name: "Menlo Park",
+      state: "CA",
+      region: { latitude: 37.4530, longitude: -122.1817, latitudeDelta: 0.03, longitudeDelta: 0.03 },
+      fallback_contact: null,
+      preferred_channels: ["email"],
+      phone_lines: {
+        police_non_emergency: {
+          name: "Menlo Park Police (non-emergency)",
+          phone: "650-330-6300",
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+        utility_hazard: {
+          name: "PG&E gas and electric emergencies",
+          phone: "1-800-743-5000",
+          hazards: ["electrical", "gas"],
+          source_title: null,
+          source_url: null,
+          last_verified: null,
+        },
+      },
+      department_hints: {
+        pothole: "Public Works",
+        sidewalk: "Public Works",
+        tree: "Public Works (City Arborist)",
+        streetlight: "Public Works",
+      },
+    },
+  ],
+};
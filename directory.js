@@ -0,0 +1,171 @@
+import directory from "./data/directory.js";
+
+/**
+ * Normalize "City of Palo Alto, CA" / "palo alto,ca" to "palo alto, ca"
+ */
+export function normalizeJurisdiction(jurisdiction) {
+  return (jurisdiction || "")
+    .toLowerCase()
+    .replace(/^(city|town|county) of\s+/, "")
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Lowercase words of a topic, with a plural "s" dropped ("Fallen trees" → ["fallen", "tree"])
+ */
+function topicWords(text) {
+  return ((text || "").toLowerCase().match(/[a-z0-9]+/g) || []).map((word) =>
+    word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word
+  );
+}
+
+/**
+ * Whether the words of `inner` appear in a row in `outer`, ignoring the spaces
+ * between them ("street light" contains "streetlight", "street" doesn't contain "tree")
+ */
+function containsWords(outer, inner) {
+  const target = inner.join("");
+  if (!target) return false;
+  for (let start = 0; start < outer.length; start++) {
+    let joined = "";
+    for (let end = start; end < outer.length && joined.length < target.length; end++) {
+      joined += outer[end];
+      if (joined === target) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a topic keyword applies to a report topic: either one contains the
+ * other word for word. "broken streetlight" and "street light" match the
+ * "streetlight" keyword; "street light" does not match "tree".
+ */
+export function topicMatches(topic, keyword) {
+  const topicList = topicWords(topic);
+  const keywordList = topicWords(keyword);
+  return containsWords(topicList, keywordList) || containsWords(keywordList, topicList);
+}
+
+/**
+ * Find the curated jurisdiction entry for a "City, ST" string
+ */
+function findJurisdiction(jurisdiction) {
+  const key = normalizeJurisdiction(jurisdiction);
+  return directory.jurisdictions.find((j) => {
+    const names = [j.name, ...(j.aliases || [])].map((n) => normalizeJurisdiction(`${n}, ${j.state}`));
+    return names.includes(key);
+  });
+}
+
+/**
+ * Shape a directory contact like a search-pass result so the pipeline can treat both alike.
+ * Only a contact someone has checked (`last_verified`) counts as quoting its source.
+ */
+function toRoutingResult(department) {
+  const { email, source_title, source_url, last_verified } = department.contact;
+  return {
+    found: true,
+    email,
+    agency_name: department.name,
+    evidence: {
+      source_title,
+      source_url,
+      quoted_snippet: last_verified ? email : "",
+      last_verified: last_verified || null,
+      directory_version: directory.version,
+    },
+    confidence: last_verified ? 1.0 : 0.5,
+  };
+}
+
+/**
+ * Look up the curated department contact for a topic (a hint until its
+ * `last_verified` is set). Exact topic matches win; otherwise the longest topic
+ * keyword that matches word for word wins, so "broken streetlight" and
+ * "street light" go to Utilities rather than "street" or "tree".
+ */
+export function lookupDirectory(jurisdiction, topic) {
+  const entry = findJurisdiction(jurisdiction);
+  if (!entry || !topic) return null;
+
+  const topicLower = topic.toLowerCase().trim();
+  const exact = entry.departments.find((d) => d.topics.includes(topicLower));
+  if (exact) return toRoutingResult(exact);
+
+  let best = null;
+  let bestLength = 0;
+  for (const department of entry.departments) {
+    for (const t of department.topics) {
+      if (topicMatches(topicLower, t) && t.length > bestLength) {
+        best = department;
+        bestLength = t.length;
+      }
+    }
+  }
+  return best ? toRoutingResult(best) : null;
+}
+
+/**
+ * The jurisdiction's curated general contact, if it has one
+ */
+export function lookupGeneralContact(jurisdiction) {
+  const entry = findJurisdiction(jurisdiction);
+  return entry?.general ? toRoutingResult(entry.general) : null;
+}
+
+/**
+ * The jurisdiction's curated city council contact, if it has one
+ */
+export function lookupCouncilContact(jurisdiction) {
+  const entry = findJurisdiction(jurisdiction);
+  return entry?.council ? toRoutingResult(entry.council) : null;
+}
+
+/**
+ * The jurisdiction's Open311 GeoReport v2 server ({ endpoint, jurisdiction_id }), if it has one
+ */
+export function lookupOpen311Endpoint(jurisdiction) {
+  const entry = findJurisdiction(jurisdiction);
+  return entry?.open311 ? { endpoint: entry.open311.endpoint, jurisdiction_id: entry.open311.jurisdiction_id || null } : null;
+}
+
+const directoryCandidates = [];
+
+/**
+ * Offer a validated search-pass hit back as a candidate directory entry.
+ * Candidates are kept for this session so a maintainer can review them
+ * with getDirectoryCandidates() and copy good ones into data/directory.js.
+ */
+export function proposeDirectoryEntry({ jurisdiction, topic, result, fallbackLevel }) {
+  const candidate = {
+    jurisdiction,
+    known_jurisdiction: !!findJurisdiction(jurisdiction),
+    topic,
+    department: result.agency_name,
+    email: result.email,
+    source_title: result.evidence?.source_title || "",
+    source_url: result.evidence?.source_url || "",
+    quoted_snippet: result.evidence?.quoted_snippet || "",
+    fallback_level: fallbackLevel,
+    proposed_at: new Date().toISOString(),
+  };
+
+  const duplicate = directoryCandidates.some(
+    (c) => c.email === candidate.email && c.topic === candidate.topic && c.jurisdiction === candidate.jurisdiction
+  );
+  if (!duplicate) directoryCandidates.push(candidate);
+
+  return candidate;
+}
+
+/**
+ * Candidate entries proposed during this session
+ */
+export function getDirectoryCandidates() {
+  return [...directoryCandidates];
+}
+
+export const DIRECTORY_VERSION = directory.version;
@@ -0,0 +1,197 @@
+import { extractTopic } from "./api.js";
+import { loadReports } from "./history.js";
+import { resolveJurisdiction } from "./boundaries.js";
+import { getOpen311Endpoint, discoverServices, matchService, findOpenRequestsNear } from "./open311.js";
+
+/**
+ * Duplicate / nearby-report detection, run before drafting.
+ *
+ * A new report is compared with stored reports (and open Open311 requests when
+ * an endpoint is known) by topic, distance and description overlap. Resolved
+ * reports and anything older than the time window are ignored.
+ */
+
+export const DUPLICATE_RADIUS_M = 150;
+export const DUPLICATE_WINDOW_DAYS = 60;
+const MAX_MATCHES = 5;
+
+const STOP_WORDS = new Set([
+  "the", "and", "there", "this", "that", "with", "for", "near", "outside", "from", "has", "have", "been", "its", "it's",
+  "our", "was", "are", "very", "just", "into", "onto", "some", "see", "attached", "photo",
+]);
+
+/**
+ * Great-circle distance in meters between two { latitude, longitude } points
+ */
+export function haversineMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function wordSet(text) {
+  return new Set(
+    (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .filter((w) => w.length >= 3 && !STOP_WORDS.has(w))
+  );
+}
+
+/**
+ * Jaccard similarity of the two texts' word sets (0..1)
+ */
+export function jaccard(a, b) {
+  const setA = wordSet(a);
+  const setB = wordSet(b);
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for (const w of setA) if (setB.has(w)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function sameTopic(a, b) {
+  const x = (a || "").toLowerCase().trim();
+  const y = (b || "").toLowerCase().trim();
+  return !!x && !!y && (x === y || x.includes(y) || y.includes(x));
+}
+
+function hasCoords(location) {
+  return typeof location?.latitude === "number" && typeof location?.longitude === "number";
+}
+
+/**
+ * Score one earlier report against the new one, or null when it is not a likely duplicate.
+ * Nearby + same topic is enough; without coordinates on both sides the descriptions must overlap.
+ */
+function scoreMatch({ topic, description, location }, other) {
+  const topicMatch = sameTopic(topic, other.topic);
+  const similarity = jaccard(description, other.description);
+  const distance = hasCoords(location) && hasCoords(other.location) ? haversineMeters(location, other.location) : null;
+  if (distance !== null && distance > DUPLICATE_RADIUS_M) return null;
+
+  const nearby = distance !== null;
+  const likely =
+    (topicMatch && nearby) || (similarity >= 0.5 && (nearby || distance === null)) || (topicMatch && similarity >= 0.25);
+  if (!likely) return null;
+
+  const reasons = [];
+  if (topicMatch) reasons.push(`Same issue type (${other.topic})`);
+  if (nearby) reasons.push(`About ${Math.max(5, Math.round(distance / 5) * 5)} m away`);
+  if (similarity >= 0.25) reasons.push("Similar description");
+
+  const score = (topicMatch ? 0.5 : 0) + (nearby ? 0.3 * (1 - distance / DUPLICATE_RADIUS_M) : 0) + 0.4 * similarity;
+  return { score, distance_m: distance, reasons };
+}
+
+/**
+ * Likely duplicates of a new report among stored reports and open service requests,
+ * best first: [{ kind: "report" | "service_request", report | request, score, distance_m, reasons }]
+ */
+export function findDuplicates({ topic, description, location }, { reports = [], serviceRequests = [], now = Date.now() }) {
+  const since = now - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const matches = [];
+
+  for (const report of reports) {
+    if (report.status === "resolved" || Date.parse(report.created_at) < since) continue;
+    const match = scoreMatch(
+      { topic, description, location },
+      { topic: report.routing?.topic || report.draft?.topic, description: report.description, location: report.location }
+    );
+    if (match) matches.push({ kind: "report", report, ...match });
+  }
+
+  // Our own filed requests are already covered by the stored reports above
+  const filedIds = new Set(reports.map((r) => r.service_request?.service_request_id).filter(Boolean));
+  for (const request of serviceRequests) {
+    if (request.status !== "open" || filedIds.has(request.service_request_id)) continue;
+    if (Date.parse(request.requested_datetime) < since) continue;
+    const match = scoreMatch(
+      { topic, description, location },
+      {
+        topic: request.service_name,
+        description: request.description,
+        location: typeof request.lat === "number" ? { latitude: request.lat, longitude: request.long } : null,
+      }
+    );
+    if (match) matches.push({ kind: "service_request", request, ...match });
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, MAX_MATCHES);
+}
+
+/**
+ * Open service requests near the report, when its jurisdiction has a known
+ * Open311 endpoint. The jurisdiction comes from the bundled boundaries, as it
+ * will when drafting; a spot outside them has none.
+ */
+async function nearbyServiceRequests({ topic, location }) {
+  if (!hasCoords(location)) return [];
+  const server = getOpen311Endpoint(resolveJurisdiction(location)?.jurisdiction);
+  if (!server) return [];
+
+  const service = matchService(await discoverServices(server), topic);
+  return findOpenRequestsNear(server, {
+    location,
+    radius: DUPLICATE_RADIUS_M,
+    since: new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+    serviceCode: service?.service_code,
+  });
+}
+
+/**
+ * Classify a new report and look for likely duplicates. Returns { topic, matches };
+ * the topic can be passed on to generateEmailDraft so it isn't extracted twice.
+ * Aborting `signal` cancels the topic request.
+ */
+export async function checkForDuplicates({ description, location, image = null }, { signal = null } = {}) {
+  const topic = await extractTopic(description || "(No written description. See the attached photo.)", image, signal);
+  const reports = await loadReports();
+
+  let serviceRequests = [];
+  try {
+    serviceRequests = await nearbyServiceRequests({ topic, location });
+  } catch (e) {
+    console.log("Could not load nearby service requests:", e.message);
+  }
+
+  return { topic, matches: findDuplicates({ topic, description, location }, { reports, serviceRequests }) };
+}
+
+/**
+ * A "+1 / still unresolved" follow-up to a report that was already sent, going
+ * to the same recipients with the original routing evidence
+ */
+export function buildFollowUpDraft(original, { description }) {
+  const sent = original.sent_email || original.draft || {};
+  const sentOn = new Date(original.sent_at || original.created_at).toLocaleDateString();
+  const reference = original.service_request?.service_request_id
+    ? ` (service request #${original.service_request.service_request_id})`
+    : "";
+  const update = description?.trim() ? `\n\nLatest update: ${description.trim()}` : "";
+  const quoted = (sent.body || original.description || "")
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+
+  return {
+    ...original.draft,
+    to: sent.to || original.draft?.to || "",
+    cc: sent.cc || [],
+    bcc: sent.bcc || [],
+    subject: `Follow-up: ${(sent.subject || "civic issue report").replace(/^(follow-up:\s*)+/i, "")}`,
+    body: `Hello,
+
+I am following up on the report below, sent on ${sentOn}${reference}. The issue is still unresolved.${update}
+
+Thank you for your attention.
+
+Original report:
+${quoted}`,
+    revision_note: null,
+    revision_rejected: false,
+  };
+}
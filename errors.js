@@ -0,0 +1,105 @@
+/**
+ * Errors from model requests, so callers can tell a busy service from a
+ * blocked report or a dropped connection. Every class carries the HTTP
+ * `status` when there was one. Cancellation is not an LLMError: an aborted
+ * request still rejects with an AbortError, like fetch.
+ */
+
+export class LLMError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+  }
+}
+
+/**
+ * HTTP 429, or 503 from an overloaded model. `retryAfterMs` is the server's
+ * Retry-After, when it sent one
+ */
+export class RateLimitedError extends LLMError {
+  constructor(message, { status = 429, retryAfterMs = null } = {}) {
+    super(message, { status });
+    this.name = "RateLimitedError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The provider refused to answer (safety filter or a blocked prompt)
+ */
+export class BlockedError extends LLMError {
+  constructor(message, { reason = null } = {}) {
+    super(message);
+    this.name = "BlockedError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * The response hit the output token limit
+ */
+export class TruncatedError extends LLMError {
+  constructor(message, { raw = null } = {}) {
+    super(message);
+    this.name = "TruncatedError";
+    this.raw = raw;
+  }
+}
+
+/**
+ * The response was not the JSON the prompt asked for. `validationErrors` lists
+ * what didn't match the schema when the JSON itself parsed.
+ */
+export class ParseFailedError extends LLMError {
+  constructor(message, { raw = null, validationErrors = [] } = {}) {
+    super(message);
+    this.name = "ParseFailedError";
+    this.raw = raw;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * The request never got a usable answer: no connection, a 5xx, or a timeout
+ */
+export class NetworkError extends LLMError {
+  constructor(message, { status = null } = {}) {
+    super(message, { status });
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * A request or a whole run went past its time limit
+ */
+export class TimeoutError extends NetworkError {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Retry-After as milliseconds: either delay-seconds or an HTTP date (null when absent or unreadable)
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * The error for a failed provider response: 429 and 503 → RateLimitedError,
+ * other 5xx → NetworkError, anything else → LLMError
+ */
+export function httpError(label, status, text, retryAfter = null) {
+  const message = `${label} API error: ${status} — ${text}`;
+  if (status === 429 || status === 503) {
+    return new RateLimitedError(message, { status, retryAfterMs: parseRetryAfter(retryAfter) });
+  }
+  if (status >= 500) return new NetworkError(message, { status });
+  return new LLMError(message, { status });
+}
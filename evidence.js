@@ -0,0 +1,343 @@
+import defaultDomains from "./data/official-domains.json";
+import { VERIFY_SOURCE_PAGES, EXTRA_OFFICIAL_DOMAINS, ALLOW_PRIVATE_SOURCE_PAGES } from "./config.js";
+import { lookupHost } from "./host-lookup.js";
+
+/**
+ * Checking a search result against the page it cites. The quoted_snippet is
+ * only the model's word, so the cited `source_url` is fetched and the address
+ * looked for in the page itself: visible text, mailto: links, "[at]"-style and
+ * Cloudflare-protected addresses. The page's host is checked against the
+ * allowlist in data/official-domains.json (suffixes such as .gov, legacy
+ * ci.<city>.<st>.us patterns, and known city, county and district domains).
+ *
+ * The URL is the model's choice, and on the routing proxy the server fetches
+ * it, so only http(s) pages on public hosts are fetched: loopback, private and
+ * link-local addresses are refused, for every redirect hop and (on the proxy,
+ * see host-lookup.js) for whatever the host name resolves to. At most
+ * MAX_PAGE_BYTES of a page is downloaded, so a huge or endless page can't
+ * fill the memory of the device or the proxy.
+ *
+ * verifyEvidence returns one of these statuses:
+ * - "verified": the page is on an official domain and contains the address
+ * - "unofficial": the page contains the address but isn't on the allowlist
+ * - "not_found": the page loaded without the address, so the result is rejected
+ * - "unreachable": the page couldn't be loaded or read (blocked, timed out, a PDF, a private address)
+ * - "skipped": nothing to fetch (a hand-checked curated contact, no http(s) URL, or checks turned off)
+ */
+
+export const SOURCE_STATUSES = ["verified", "unofficial", "not_found", "unreachable", "skipped"];
+
+const PAGE_TIMEOUT_MS = 8000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const PAGE_TYPES = /^(text\/html|application\/xhtml\+xml|text\/plain)\b/i;
+const MAX_REDIRECTS = 5;
+
+const compiled = new WeakMap();
+
+function compile(rules) {
+  if (!compiled.has(rules)) {
+    compiled.set(rules, {
+      suffixes: (rules.suffixes || []).map((s) => s.toLowerCase()),
+      patterns: (rules.patterns || []).map((p) => new RegExp(p, "i")),
+      domains: (rules.domains || []).map((d) => d.domain.toLowerCase()),
+    });
+  }
+  return compiled.get(rules);
+}
+
+/**
+ * The host fetch would connect to for `url`, lowercased ("" when not an http(s) URL).
+ * The URL parser reads odd forms the way fetch does ("http://2130706433/" is
+ * 127.0.0.1); React Native's URL has no `hostname`, so there a pattern is used
+ */
+function targetHost(url) {
+  if (!/^https?:/i.test(url || "")) return "";
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    const match = url.match(/^https?:\/\/(?:[^/\\?#@]*@)?(\[[^\]]*\]|[^/\\:?#]*)/i);
+    return match ? match[1].toLowerCase() : "";
+  }
+}
+
+/**
+ * "https://www.CityOfPaloAlto.org/x" → "cityofpaloalto.org" ("" when not an http(s) URL)
+ */
+export function hostOf(url) {
+  return targetHost(url).replace(/^www\./, "");
+}
+
+const PRIVATE_IPV4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+];
+
+// "10.1.2.3" → 167838211, or null when not a dotted-quad IPv4 address
+function ipv4(address) {
+  const parts = address.split(".");
+  if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) < 256)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPrivateIPv4(value) {
+  return PRIVATE_IPV4.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4(base) / size);
+  });
+}
+
+function isPrivateIPv6(address) {
+  const a = address.replace(/^\[|\]$/g, "");
+  if (a === "::" || a === "::1" || /^f[cd]|^fe[89a-f]/.test(a)) return true;
+  // IPv4-mapped, either ::ffff:127.0.0.1 or ::ffff:7f00:1
+  const mapped = a.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!mapped) return false;
+  const value = mapped[1] ? ipv4(mapped[1]) : parseInt(mapped[2], 16) * 65536 + parseInt(mapped[3], 16);
+  return value === null || isPrivateIPv4(value);
+}
+
+/**
+ * Whether `host` (a name or an IP address) is not a public internet host:
+ * loopback, private, link-local or carrier-grade NAT addresses, "localhost",
+ * names without a dot, .local/.internal names, and numeric forms that aren't
+ * a plain dotted quad
+ */
+export function isPrivateHost(host) {
+  const name = (host || "").toLowerCase();
+  if (!name) return true;
+  if (name.includes(":")) return isPrivateIPv6(name);
+  const value = ipv4(name);
+  if (value !== null) return isPrivateIPv4(value);
+  if (!/^[a-z0-9.-]+$/.test(name) || /(^|\.)(0x[0-9a-f]*|\d+)\.?$/.test(name)) return true;
+  return !name.includes(".") || /(^|\.)(localhost|local|internal|home\.arpa)\.?$/.test(name);
+}
+
+/**
+ * Why a page on `host` must not be fetched, or null when it may be
+ */
+async function refuseHost(host) {
+  if (ALLOW_PRIVATE_SOURCE_PAGES) return null;
+  if (!host) return "the source is not a web address";
+  if (isPrivateHost(host)) return `${host} is not a public web address`;
+  // A lookup failure is left to fetch, which will fail the same way
+  const addresses = await lookupHost(host).catch(() => null);
+  const inside = addresses?.find(isPrivateHost);
+  return inside ? `${host} points to a private network address (${inside})` : null;
+}
+
+/**
+ * Whether `host` (or a parent domain of it) is on the official-domain allowlist
+ */
+export function isOfficialDomain(host, rules = defaultDomains, extra = EXTRA_OFFICIAL_DOMAINS) {
+  if (!host) return false;
+  const { suffixes, patterns, domains } = compile(rules);
+  const matchesDomain = (domain) => host === domain || host.endsWith(`.${domain}`);
+  return (
+    suffixes.some((suffix) => host.endsWith(suffix)) ||
+    patterns.some((pattern) => pattern.test(host)) ||
+    domains.some(matchesDomain) ||
+    extra.some((domain) => matchesDomain(domain.toLowerCase()))
+  );
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", commat: "@", period: "." };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * An address hidden by Cloudflare's email protection: hex bytes XORed with the first byte
+ */
+function decodeCloudflareEmail(hex) {
+  const key = parseInt(hex.slice(0, 2), 16);
+  let email = "";
+  for (let i = 2; i + 1 < hex.length; i += 2) {
+    email += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+  }
+  return email;
+}
+
+// A malformed escape ("mailto:50%off") leaves the link as written instead of failing the whole page
+function decodeMailto(address) {
+  try {
+    return decodeURIComponent(address);
+  } catch {
+    return address;
+  }
+}
+
+/**
+ * Whether the page's HTML (or plain text) shows `email` to a reader
+ */
+export function pageContainsEmail(html, email) {
+  const target = (email || "").toLowerCase();
+  if (!target) return false;
+  const decoded = decodeEntities(html || "");
+
+  // mailto: links and Cloudflare-protected addresses live in attributes
+  const linked = [...decoded.matchAll(/mailto:([^"'?>\s]+)/gi)].map((m) => decodeMailto(m[1]));
+  const protectedEmails = [...decoded.matchAll(/(?:data-cfemail="|email-protection#)([0-9a-f]+)/gi)].map((m) =>
+    decodeCloudflareEmail(m[1])
+  );
+  if ([...linked, ...protectedEmails].some((address) => address.toLowerCase() === target)) return true;
+
+  const text = decoded
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s*[[(]\s*at\s*[\])]\s*/gi, "@")
+    .replace(/\s*[[(]\s*dot\s*[\])]\s*/gi, ".")
+    .toLowerCase();
+  return text.includes(target);
+}
+
+function abortError() {
+  const error = new Error("The request was aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * The body as text, cut off after MAX_PAGE_BYTES. A page that says it is bigger
+ * is refused without reading it; otherwise the stream is cancelled at the cap,
+ * so the rest is never downloaded. React Native's fetch has no body stream:
+ * there the declared length and the page timeout are the only limits.
+ */
+async function readPage(response) {
+  const declared = Number(response.headers.get("Content-Length"));
+  if (declared > MAX_PAGE_BYTES) {
+    response.body?.cancel?.().catch(() => {});
+    throw new Error(`the page is larger than ${MAX_PAGE_BYTES / 1024 / 1024} MB`);
+  }
+  if (!response.body?.getReader) return (await response.text()).slice(0, MAX_PAGE_BYTES);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let received = 0;
+  try {
+    while (received < MAX_PAGE_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, MAX_PAGE_BYTES - received);
+      received += chunk.length;
+      text += decoder.decode(chunk, { stream: true });
+    }
+    return text + decoder.decode();
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * GET a page as text: { url (after redirects), text }, or throw with a short reason.
+ * Redirects are followed here so that each hop's host is checked before it is
+ * requested. React Native follows them itself, so there the landing page is
+ * checked before it is read.
+ */
+async function fetchPage(url, signal, timeoutMs) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(onAbort, timeoutMs);
+  try {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+      const refused = await refuseHost(targetHost(current));
+      if (refused) throw new Error(refused);
+      const response = await fetch(current, {
+        headers: { Accept: "text/html,application/xhtml+xml,text/plain;q=0.9" },
+        redirect: "manual",
+        signal: controller.signal,
+      });
+
+      const location = response.status >= 300 && response.status < 400 && response.headers.get("Location");
+      if (location) {
+        if (hop === MAX_REDIRECTS) throw new Error(`the page redirected more than ${MAX_REDIRECTS} times`);
+        current = new URL(location, current).href;
+        continue;
+      }
+      if (response.type === "opaqueredirect") throw new Error("the page redirects somewhere that can't be checked");
+      if (response.url && response.url !== current) {
+        const landed = await refuseHost(targetHost(response.url));
+        if (landed) throw new Error(landed);
+      }
+
+      if (!response.ok) throw new Error(`the page returned HTTP ${response.status}`);
+      const type = response.headers.get("Content-Type") || "";
+      if (type && !PAGE_TYPES.test(type)) throw new Error(`the source is not a web page (${type.split(";")[0]})`);
+      return { url: response.url || current, text: await readPage(response) };
+    }
+  } catch (e) {
+    if (signal?.aborted) throw abortError();
+    throw e.name === "AbortError" ? new Error(`the page took longer than ${timeoutMs / 1000}s`) : e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * `source_verified` for a candidate: true when verified, false when the page
+ * was read and didn't confirm the address officially, null when not checked
+ */
+export function sourceVerified(check) {
+  if (!check) return null;
+  if (check.status === "verified") return true;
+  return check.status === "unofficial" || check.status === "not_found" ? false : null;
+}
+
+/**
+ * Fetch the page a result cites and check it: { status, reason, url, host, official }.
+ * Aborting `signal` rejects with an AbortError; every other failure, including a
+ * page slower than `timeoutMs`, is "unreachable".
+ */
+export async function verifyEvidence(
+  { email, evidence },
+  { signal = null, rules = defaultDomains, timeoutMs = PAGE_TIMEOUT_MS } = {}
+) {
+  const url = evidence?.source_url;
+  const check = (status, reason, host = hostOf(url), official = isOfficialDomain(host, rules)) => ({
+    status,
+    reason,
+    url: url || null,
+    host: host || null,
+    official,
+    checked_at: new Date().toISOString(),
+  });
+
+  if (!VERIFY_SOURCE_PAGES) return check("skipped", "page checks are turned off");
+  if ((evidence?.directory_version || evidence?.profile_version) && evidence.last_verified) {
+    return check("skipped", "curated contact, checked by hand");
+  }
+  if (!hostOf(url)) return check("skipped", "no web address was cited");
+
+  let page;
+  try {
+    page = await fetchPage(url, signal, timeoutMs);
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    return check("unreachable", e.message);
+  }
+
+  // A redirect off the cited site is judged by where it landed
+  const host = hostOf(page.url) || hostOf(url);
+  const official = isOfficialDomain(host, rules);
+  if (!pageContainsEmail(page.text, email)) {
+    return check("not_found", `${host} does not show ${email}`, host, official);
+  }
+  return official
+    ? check("verified", `${email} appears on ${host}`, host, official)
+    : check("unofficial", `${host} is not on the official-domain list`, host, official);
+}
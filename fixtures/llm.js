@@ -0,0 +1,112 @@
+/**
+ * Responses replayed by the "mock" LLM provider (LLM_PROVIDER = "mock" in config.js).
+ *
+ * `recorded` maps fixtureKey(prompt) -> { prompt, text } and is meant to be filled
+ * from getRecordedFixtures() after a run with RECORD_FIXTURES = true.
+ *
+ * `rules` are hand-written fallbacks, checked in order: the first rule whose
+ * `match` substrings all appear in the prompt wins. They cover every prompt in
+ * gemini.js so the whole routing pipeline runs offline.
+ */
+export default {
+  recorded: {},
+
+  rules: [
+    {
+      match: ["Analyze this civic issue report and extract location information."],
+      response: { city: "Palo Alto", state: "CA", hasLocation: true },
+    },
+    {
+      match: ["What city and state are at these coordinates?"],
+      response: { city: "Palo Alto", state: "CA" },
+    },
+
+    // Topic extraction
+    {
+      match: ["Categorize this civic issue"],
+      response: { topic: "pothole" },
+    },
+
+    // PASS A / B / C
+    {
+      match: ["where citizens can SUBMIT REPORTS about"],
+      response: {
+        found: true,
+        email: "streets@mock-city.example.gov",
+        agency_name: "Public Works — Streets Division",
+        evidence: {
+          source_title: "Report a Street Problem (mock)",
+          source_url: "https://mock-city.example.gov/streets/report",
+          quoted_snippet: "To report potholes or damaged pavement, email streets@mock-city.example.gov.",
+        },
+        confidence: 0.9,
+      },
+    },
+    {
+      match: ["department email where citizens can SUBMIT REPORTS"],
+      response: {
+        found: true,
+        email: "publicworks@mock-city.example.gov",
+        agency_name: "Public Works Department",
+        evidence: {
+          source_title: "Public Works Contact Us (mock)",
+          source_url: "https://mock-city.example.gov/publicworks/contact",
+          quoted_snippet: "Service requests: publicworks@mock-city.example.gov",
+        },
+        confidence: 0.75,
+      },
+    },
+    {
+      match: ["general email where citizens can REPORT ISSUES"],
+      response: {
+        found: true,
+        email: "city.manager@mock-city.example.gov",
+        agency_name: "City Manager's Office",
+        evidence: {
+          source_title: "City Manager (mock)",
+          source_url: "https://mock-city.example.gov/city-manager",
+          quoted_snippet: "Contact the City Manager's Office at city.manager@mock-city.example.gov",
+        },
+        confidence: 0.5,
+      },
+    },
+    {
+      match: ["city council member who represents a location"],
+      response: {
+        found: true,
+        email: "district3@mock-city.example.gov",
+        agency_name: "Council Member, District 3",
+        evidence: {
+          source_title: "City Council Districts (mock)",
+          source_url: "https://mock-city.example.gov/council/districts",
+          quoted_snippet: "District 3 — email district3@mock-city.example.gov",
+        },
+        confidence: 0.8,
+      },
+    },
+    {
+      match: ["All grounded searches failed."],
+      response: { email: "info@mock-city.example.gov", agency_name: "City Services", confidence: 0.1 },
+    },
+
+    // Drafting
+    {
+      match: ["Write a professional, concise email body"],
+      response: {
+        subject: "Report of a civic issue (mock draft)",
+        body:
+          "Hello,\n\nI would like to report an issue I noticed in the area described below. It appears to need attention from your department.\n\nPlease let me know if you need any further details.\n\nThank you for your help.",
+      },
+    },
+    {
+      match: ["Revise this email based on the user's request."],
+      // Empty "to" keeps the current recipient and its routing evidence
+      response: {
+        to: "",
+        subject: "Report of a civic issue (mock revision)",
+        body:
+          "Hello,\n\nI am following up with a revised version of my report. The issue is still present and I would appreciate your attention to it.\n\nThank you.",
+      },
+    },
+  ],
+};
@@ -0,0 +1,261 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { File, Directory, Paths } from "expo-file-system";
+
+const STORAGE_KEY = "civicreport.reports.v1";
+const PHOTO_DIR = "report-photos";
+
+/**
+ * A report's routing trace and version stack are the bulk of its size, so each
+ * lives under its own key instead of in the report list. Android caps a single
+ * AsyncStorage row, and the list would otherwise outgrow it after a few reports.
+ */
+const DETAIL_FIELDS = ["trace", "versions"];
+
+function detailKey(id, field) {
+  return `${STORAGE_KEY}.${id}.${field}`;
+}
+
+export const REPORT_STATUSES = ["draft", "sent", "acknowledged", "resolved"];
+
+/**
+ * Routing metadata worth keeping from a generateEmailDraft result
+ */
+function routingFrom(draft) {
+  if (!draft) return null;
+  return {
+    jurisdiction: draft.jurisdiction,
+    jurisdiction_source: draft.jurisdiction_info?.source || null,
+    agency_name: draft.agency_name,
+    topic: draft.topic,
+    confidence: draft.confidence,
+    fallback_level: draft.fallback_level,
+    evidence: draft.evidence,
+    dns_verified: draft.dns_verified,
+    source_verified: draft.source_verified ?? null,
+  };
+}
+
+/**
+ * Copy a picker/camera photo out of the cache so it survives app restarts
+ */
+export function persistPhoto(uri, id) {
+  if (!uri || uri.startsWith(Paths.document.uri)) return uri;
+  try {
+    const dir = new Directory(Paths.document, PHOTO_DIR);
+    if (!dir.exists) dir.create();
+    const extension = uri.split(".").pop().split("?")[0] || "jpg";
+    const dest = new File(dir, `${id}.${extension}`);
+    if (dest.exists) dest.delete();
+    new File(uri).copy(dest);
+    return dest.uri;
+  } catch (e) {
+    console.log("Could not persist photo, keeping original URI:", e.message);
+    return uri;
+  }
+}
+
+/**
+ * Remove a photo previously copied by persistPhoto (other URIs are left alone)
+ */
+export function deletePhoto(uri) {
+  if (!uri?.startsWith(Paths.document.uri)) return;
+  try {
+    new File(uri).delete();
+  } catch {
+    // Photo already gone
+  }
+}
+
+/**
+ * The stored report list. Throws when it can't be read or parsed, so that a
+ * write never replaces a history it failed to load.
+ */
+async function readAll() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    throw new Error(`Could not read the saved reports: ${e.message}`);
+  }
+}
+
+/**
+ * Split a report into its list entry and the detail fields stored separately
+ * ([key, JSON] pairs for the fields it carries)
+ */
+function splitDetails(report) {
+  const entry = { ...report };
+  const details = [];
+  for (const field of DETAIL_FIELDS) {
+    if (field in entry) {
+      details.push([detailKey(report.id, field), JSON.stringify(entry[field] ?? null)]);
+      delete entry[field];
+    }
+  }
+  return { entry, details };
+}
+
+/**
+ * Write the report list. Detail fields still inline (new reports, changes, or
+ * reports saved before they were split out) go to their own keys first.
+ */
+async function writeAll(reports) {
+  const split = reports.map(splitDetails);
+  const details = split.flatMap((s) => s.details);
+  if (details.length) await AsyncStorage.multiSet(details);
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(split.map((s) => s.entry)));
+}
+
+let pendingWrite = Promise.resolve();
+
+/**
+ * Run read-modify-write operations one at a time so back-to-back saves
+ * (e.g. a draft edit followed by "sent") cannot overwrite each other
+ */
+function serialized(operation) {
+  const result = pendingWrite.then(operation);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Apply `changes` to one report inside an already-serialized operation
+ */
+async function applyChanges(id, changes) {
+  const reports = await readAll();
+  const index = reports.findIndex((r) => r.id === id);
+  if (index === -1) throw new Error(`Report ${id} not found`);
+
+  const updated = { ...reports[index], ...changes, updated_at: new Date().toISOString() };
+  if (changes.draft) updated.routing = routingFrom(changes.draft);
+
+  reports[index] = updated;
+  await writeAll(reports);
+  return updated;
+}
+
+function statusChange(report, status) {
+  if (report.status === status) return {};
+  return {
+    status,
+    status_history: [...(report.status_history || []), { status, at: new Date().toISOString() }],
+  };
+}
+
+/**
+ * All stored reports, newest first, without their trace and versions (see loadReport)
+ */
+export async function loadReports() {
+  const reports = await readAll();
+  return reports.map((r) => splitDetails(r).entry).sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * One stored report with its trace and versions, or null
+ */
+export async function loadReport(id) {
+  const report = (await readAll()).find((r) => r.id === id);
+  if (!report) return null;
+  const stored = await AsyncStorage.multiGet(DETAIL_FIELDS.map((field) => detailKey(id, field)));
+  const details = {};
+  DETAIL_FIELDS.forEach((field, i) => {
+    const value = stored[i][1];
+    details[field] = value ? JSON.parse(value) : (report[field] ?? null);
+  });
+  return { ...report, ...details };
+}
+
+/**
+ * Persist a freshly drafted report (status "draft")
+ */
+export async function createReport({ description, location, photo, draft, versions, trace, followUpOf }) {
+  const now = new Date().toISOString();
+  const id = `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const report = {
+    id,
+    created_at: now,
+    updated_at: now,
+    status: "draft",
+    status_history: [{ status: "draft", at: now }],
+    description,
+    location: location || null,
+    photo: persistPhoto(photo, id),
+    routing: routingFrom(draft),
+    draft: draft || null,
+    versions: versions || null,
+    trace: trace || null,
+    sent_email: null,
+    sent_at: null,
+    service_request: null,
+    follow_up_of: followUpOf || null,
+  };
+
+  return serialized(async () => {
+    const reports = await readAll();
+    await writeAll([...reports, report]);
+    return report;
+  });
+}
+
+/**
+ * Merge changes into a stored report. A new `draft` also refreshes its routing metadata.
+ */
+export function updateReport(id, changes) {
+  return serialized(() => applyChanges(id, changes));
+}
+
+/**
+ * Change a report's status and record when it happened
+ */
+export async function setReportStatus(id, status) {
+  if (!REPORT_STATUSES.includes(status)) throw new Error(`Unknown report status "${status}"`);
+  return serialized(async () => {
+    const report = (await readAll()).find((r) => r.id === id);
+    if (!report) throw new Error(`Report ${id} not found`);
+    return applyChanges(id, statusChange(report, status));
+  });
+}
+
+/**
+ * Mark a report as sent with the exact email that went out
+ */
+export async function markReportSent(id, sentEmail) {
+  return serialized(async () => {
+    const report = (await readAll()).find((r) => r.id === id);
+    if (!report) throw new Error(`Report ${id} not found`);
+    return applyChanges(id, {
+      ...statusChange(report, "sent"),
+      sent_email: sentEmail,
+      sent_at: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Mark a report as filed through Open311. `serviceRequest` is the tracking
+ * record from submitServiceRequest; `filedEmail` is the subject/body that went with it.
+ */
+export async function markReportFiled(id, serviceRequest, filedEmail) {
+  return serialized(async () => {
+    const report = (await readAll()).find((r) => r.id === id);
+    if (!report) throw new Error(`Report ${id} not found`);
+    return applyChanges(id, {
+      ...statusChange(report, "sent"),
+      sent_email: filedEmail,
+      service_request: serviceRequest,
+      sent_at: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Remove a report, its trace and versions, and its stored photo
+ */
+export async function deleteReport(id) {
+  return serialized(async () => {
+    const reports = await readAll();
+    deletePhoto(reports.find((r) => r.id === id)?.photo);
+    await writeAll(reports.filter((r) => r.id !== id));
+    await AsyncStorage.multiRemove(DETAIL_FIELDS.map((field) => detailKey(id, field)));
+  });
+}
@@ -0,0 +1,9 @@
+/**
+ * The addresses a host name resolves to, so evidence.js can refuse pages that
+ * point into a private network. React Native has no DNS API, so in the app
+ * this is always null and only literal addresses are checked; the routing
+ * proxy swaps in server/host-lookup.mjs, which asks the system resolver.
+ */
+export async function lookupHost() {
+  return null;
+}
@@ -0,0 +1,22 @@
+import { ImageManipulator, SaveFormat } from "expo-image-manipulator";
+
+// Large enough for the model to read signage and damage, small enough to keep requests fast
+const MAX_WIDTH = 1024;
+const JPEG_QUALITY = 0.6;
+
+/**
+ * Resize and base64-encode a photo URI for the model: { mimeType, data }.
+ * Returns null if the photo cannot be processed so the report can still be routed from text.
+ */
+export async function prepareImageForModel(uri) {
+  if (!uri) return null;
+  try {
+    const context = ImageManipulator.manipulate(uri).resize({ width: MAX_WIDTH });
+    const rendered = await context.renderAsync();
+    const saved = await rendered.saveAsync({ compress: JPEG_QUALITY, format: SaveFormat.JPEG, base64: true });
+    return saved.base64 ? { mimeType: "image/jpeg", data: saved.base64 } : null;
+  } catch (e) {
+    console.log("Could not prepare photo for the model:", e.message);
+    return null;
+  }
+}
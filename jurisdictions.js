@@ -0,0 +1,86 @@
+import profiles from "./data/jurisdictions.js";
+import { DEFAULT_JURISDICTION } from "./config.js";
+import { normalizeJurisdiction, topicMatches } from "./directory.js";
+import { resolveJurisdiction } from "./boundaries.js";
+
+/**
+ * Jurisdiction profile lookups (data/jurisdictions.js). The profile the user
+ * selects in the app only matters when a report's own location can't be
+ * resolved; a report placed in another profiled city uses that city's profile.
+ */
+
+export const JURISDICTION_PROFILES = profiles.profiles;
+
+/**
+ * "City, ST" for a profile, the form the rest of the pipeline uses
+ */
+export function profileJurisdiction(profile) {
+  return `${profile.name}, ${profile.state}`;
+}
+
+export function getProfile(id) {
+  return JURISDICTION_PROFILES.find((p) => p.id === id) || null;
+}
+
+/**
+ * The profile for a "City, ST" string, or null for cities without one
+ */
+export function findProfile(jurisdiction) {
+  const key = normalizeJurisdiction(jurisdiction);
+  return JURISDICTION_PROFILES.find((p) => normalizeJurisdiction(profileJurisdiction(p)) === key) || null;
+}
+
+/**
+ * The profile used before the user picks a city (DEFAULT_JURISDICTION in config.js)
+ */
+export function defaultProfile() {
+  return findProfile(DEFAULT_JURISDICTION) || JURISDICTION_PROFILES[0];
+}
+
+/**
+ * The profile whose bundled boundary contains the location, or null
+ */
+export function profileForLocation(location) {
+  if (typeof location?.latitude !== "number" || typeof location?.longitude !== "number") return null;
+  const resolved = resolveJurisdiction(location);
+  return resolved?.kind === "city" ? findProfile(resolved.jurisdiction) : null;
+}
+
+/**
+ * The department this profile routes a topic to, from the longest hint keyword
+ * that matches it word for word ("broken streetlight" and "street light" → the
+ * "streetlight" hint, never "tree"), or null
+ */
+export function departmentHint(profile, topic) {
+  if (!profile || !topic?.trim()) return null;
+  let best = null;
+  for (const [keyword, department] of Object.entries(profile.department_hints || {})) {
+    if (topicMatches(topic, keyword) && (!best || keyword.length > best.keyword.length)) {
+      best = { keyword, department };
+    }
+  }
+  return best?.department || null;
+}
+
+/**
+ * The profile's fallback contact shaped like a search-pass result, or null.
+ * As in the directory, only a checked contact (`last_verified`) quotes its source.
+ */
+export function fallbackContactResult(profile) {
+  const fallback = profile?.fallback_contact;
+  if (!fallback) return null;
+  const { email, source_title, source_url, last_verified } = fallback.contact;
+  return {
+    found: true,
+    email,
+    agency_name: fallback.name,
+    evidence: {
+      source_title,
+      source_url,
+      quoted_snippet: last_verified ? email : "",
+      last_verified: last_verified || null,
+      profile_version: profiles.version,
+    },
+    confidence: last_verified ? 0.6 : 0.3,
+  };
+}
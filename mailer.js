@@ -0,0 +1,217 @@
+import { useRef } from "react";
+import * as Google from "expo-auth-session/providers/google";
+import * as WebBrowser from "expo-web-browser";
+import { File } from "expo-file-system";
+import { EMAIL_TRANSPORT, GMAIL_CLIENT_IDS, SMTP_RELAY_URL, SMTP_RELAY_TOKEN, SMTP_FROM } from "./config.js";
+import { buildMimeMessage, base64Encode, base64UrlEncode, imageMimeType } from "./mime.js";
+import { isValidEmailFormat } from "./gemini.js";
+
+WebBrowser.maybeCompleteAuthSession();
+
+const GMAIL_SEND_SCOPE = "https://www.googleapis.com/auth/gmail.send";
+const GMAIL_SEND_URL = "https://gmail.googleapis.com/gmail/v1/users/me/messages/send";
+
+/**
+ * Read a local photo URI as an attachment
+ */
+async function readAttachment(photoUri) {
+  if (!photoUri) return null;
+  const file = new File(photoUri);
+  const filename = file.name || "photo.jpg";
+  const mimeType = file.type || imageMimeType(filename);
+  try {
+    return { filename, mimeType, base64: await file.base64() };
+  } catch (e) {
+    throw new Error(`Could not read the attached photo: ${e.message}`);
+  }
+}
+
+/**
+ * Turn a non-2xx response into a readable error
+ */
+async function sendError(label, response) {
+  let detail = "";
+  try {
+    const data = await response.json();
+    detail = data.error?.message || data.message || "";
+  } catch {
+    // Body was not JSON
+  }
+  const error = new Error(`${label} rejected the message (${response.status})${detail ? `: ${detail}` : ""}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Gmail API users.messages.send with the signed-in user's token
+ */
+const gmailTransport = {
+  name: "gmail",
+  description: "This will send from your connected Gmail account.",
+
+  async send(message, { accessToken }) {
+    if (!accessToken) throw new Error("Sign in to Gmail to send this email.");
+    const response = await fetch(GMAIL_SEND_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify({ raw: base64UrlEncode(buildMimeMessage(message, { bccHeader: true })) }),
+    });
+    if (!response.ok) throw await sendError("Gmail", response);
+    const data = await response.json();
+    return { id: data.id, transport: "gmail" };
+  },
+};
+
+/**
+ * HTTP relay that forwards the MIME message over SMTP
+ */
+const relayTransport = {
+  name: "relay",
+  description: "This will send through the configured mail relay.",
+
+  async send(message) {
+    if (!SMTP_RELAY_URL) throw new Error("SMTP_RELAY_URL is not set in config.js.");
+    const withFrom = { ...message, from: message.from || SMTP_FROM };
+    const response = await fetch(SMTP_RELAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(SMTP_RELAY_TOKEN ? { Authorization: `Bearer ${SMTP_RELAY_TOKEN}` } : {}),
+      },
+      body: JSON.stringify({
+        from: withFrom.from,
+        to: [].concat(withFrom.to),
+        cc: withFrom.cc || [],
+        bcc: withFrom.bcc || [],
+        subject: withFrom.subject,
+        raw: base64Encode(buildMimeMessage(withFrom)),
+      }),
+    });
+    if (!response.ok) throw await sendError("Mail relay", response);
+    const data = await response.json().catch(() => ({}));
+    return { id: data.id || data.messageId || null, transport: "relay" };
+  },
+};
+
+const fakeOutbox = [];
+
+/**
+ * Local fake transport: keeps messages in memory so the flow can be tested
+ * end to end. Any recipient at fail.test is rejected to exercise error handling.
+ */
+const fakeTransport = {
+  name: "fake",
+  description: "Test mode: emails go to a local outbox and are not delivered.",
+
+  async send(message) {
+    const recipients = [message.to, ...(message.cc || []), ...(message.bcc || [])];
+    const failing = recipients.find((r) => /@fail\.test$/i.test(r || ""));
+    if (failing) {
+      throw new Error(`Fake transport rejected ${failing} (recipients at fail.test always fail)`);
+    }
+    const id = `fake-${Date.now().toString(36)}`;
+    fakeOutbox.push({ id, message, mime: buildMimeMessage(message), sent_at: new Date().toISOString() });
+    return { id, transport: "fake" };
+  },
+};
+
+const TRANSPORTS = { gmail: gmailTransport, relay: relayTransport, fake: fakeTransport };
+
+/**
+ * Look up a transport by name (defaults to EMAIL_TRANSPORT from config.js)
+ */
+export function getTransport(name = EMAIL_TRANSPORT) {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}". Expected one of: ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  return transport;
+}
+
+/**
+ * Check the recipients and subject before they go into message headers; the
+ * To field is free text in edit mode
+ */
+function checkMessage({ to, cc = [], bcc = [], subject }) {
+  if (!to) throw new Error("The email has no recipient.");
+  const invalid = [...[].concat(to), ...cc, ...bcc].find((address) => !isValidEmailFormat(address));
+  if (invalid !== undefined) throw new Error(`"${String(invalid).trim()}" is not a valid email address.`);
+  if (/[\r\n]/.test(subject || "")) throw new Error("The subject can't contain a line break.");
+}
+
+/**
+ * Send { to, cc, bcc, subject, body, photoUri } with the configured transport
+ */
+export async function sendEmail({ photoUri, ...message }, { accessToken } = {}) {
+  checkMessage(message);
+  const attachment = await readAttachment(photoUri);
+  return getTransport().send({ ...message, attachment }, { accessToken });
+}
+
+/**
+ * Messages "sent" with the fake transport this session
+ */
+export function getFakeOutbox() {
+  return [...fakeOutbox];
+}
+
+/**
+ * Google sign-in for the gmail.send scope
+ */
+function useGmailAuth() {
+  const [request, , promptAsync] = Google.useAuthRequest({
+    iosClientId: GMAIL_CLIENT_IDS.ios,
+    androidClientId: GMAIL_CLIENT_IDS.android,
+    webClientId: GMAIL_CLIENT_IDS.web,
+    scopes: [GMAIL_SEND_SCOPE],
+  });
+  const tokenRef = useRef(null);
+
+  const getAccessToken = async () => {
+    const token = tokenRef.current;
+    if (token && token.expiresAt > Date.now()) return token.accessToken;
+    if (!request) throw new Error("Gmail sign-in is still loading. Try again in a moment.");
+
+    const result = await promptAsync();
+    if (result.type !== "success" || !result.authentication?.accessToken) {
+      throw new Error("Gmail sign-in was cancelled.");
+    }
+    const { accessToken, expiresIn } = result.authentication;
+    tokenRef.current = { accessToken, expiresAt: Date.now() + (expiresIn || 3600) * 1000 - 60000 };
+    return accessToken;
+  };
+
+  const clearToken = () => {
+    tokenRef.current = null;
+  };
+
+  return { getAccessToken, clearToken };
+}
+
+function useNoAuth() {
+  return { getAccessToken: async () => null, clearToken: () => {} };
+}
+
+// EMAIL_TRANSPORT is fixed at build time, so the hook choice never changes between renders
+const useTransportAuth = EMAIL_TRANSPORT === "gmail" ? useGmailAuth : useNoAuth;
+
+/**
+ * Hook used by the app: signs in when the transport needs it, then sends
+ */
+export function useMailer() {
+  const auth = useTransportAuth();
+  const transport = getTransport();
+
+  const send = async (message) => {
+    const accessToken = await auth.getAccessToken();
+    try {
+      return await sendEmail(message, { accessToken });
+    } catch (e) {
+      // Expired or revoked token: sign in again on the next attempt
+      if (e.status === 401) auth.clearToken();
+      throw e;
+    }
+  };
+
+  return { send, transportName: transport.name, description: transport.description };
+}
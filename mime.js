@@ -0,0 +1,118 @@
+const CRLF = "\r\n";
+
+/**
+ * UTF-8 safe base64 (btoa alone only handles Latin-1)
+ */
+export function base64Encode(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64url without padding, as required by the Gmail API `raw` field
+ */
+export function base64UrlEncode(text) {
+  return base64Encode(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Wrap base64 at 76 characters per RFC 2045
+ */
+function wrapBase64(data) {
+  return data.match(/.{1,76}/g)?.join(CRLF) || "";
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header values
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${base64Encode(value)}?=`;
+}
+
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  heic: "image/heic",
+  heif: "image/heif",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+/**
+ * MIME type of a photo from its file name (JPEG when the extension is unknown)
+ */
+export function imageMimeType(filename) {
+  const extension = (filename || "").split(".").pop().toLowerCase();
+  return IMAGE_TYPES[extension] || "image/jpeg";
+}
+
+/**
+ * A header line; a value with a line break would start a header of its own
+ */
+function header(name, value, { encoded = false } = {}) {
+  if (/[\r\n]/.test(value)) throw new Error(`The ${name} header can't contain a line break.`);
+  return `${name}: ${encoded ? encodeHeader(value) : value}`;
+}
+
+/**
+ * Quote a file name for Content-Type / Content-Disposition
+ */
+function quotedFilename(filename) {
+  return `"${filename.replace(/[\r\n"\\]/g, "_")}"`;
+}
+
+/**
+ * Build an RFC 5322 message, multipart/mixed when a photo is attached.
+ * `attachment` is { filename, mimeType, base64 }.
+ *
+ * Bcc recipients stay out of the headers, where every recipient could read
+ * them; transports pass them as envelope recipients instead. Gmail is the
+ * exception: it only takes recipients from the headers and strips Bcc itself
+ * before delivery, so its transport sets `bccHeader`.
+ */
+export function buildMimeMessage(
+  { from, to, cc = [], bcc = [], subject, body, attachment },
+  { bccHeader = false } = {}
+) {
+  const headers = [];
+  if (from) headers.push(header("From", from));
+  headers.push(header("To", [].concat(to).join(", ")));
+  if (cc.length) headers.push(header("Cc", cc.join(", ")));
+  if (bccHeader && bcc.length) headers.push(header("Bcc", bcc.join(", ")));
+  headers.push(header("Subject", subject || "", { encoded: true }));
+  headers.push(`Date: ${new Date().toUTCString()}`);
+  headers.push("MIME-Version: 1.0");
+
+  const textPart = [
+    'Content-Type: text/plain; charset="UTF-8"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(base64Encode(body || "")),
+  ].join(CRLF);
+
+  if (!attachment) {
+    return [...headers, textPart].join(CRLF);
+  }
+
+  const boundary = `civicreport_${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    textPart,
+    `--${boundary}`,
+    `Content-Type: ${attachment.mimeType}; name=${quotedFilename(attachment.filename)}`,
+    `Content-Disposition: attachment; filename=${quotedFilename(attachment.filename)}`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(attachment.base64),
+    `--${boundary}--`,
+    "",
+  ].join(CRLF);
+}
@@ -0,0 +1,230 @@
+import { OPEN311_ENDPOINT, OPEN311_JURISDICTION_ID, OPEN311_API_KEY } from "./config.js";
+import { lookupOpen311Endpoint } from "./directory.js";
+
+/**
+ * Open311 GeoReport v2 client: service discovery, topic → service_code
+ * matching, request submission and status tracking.
+ * Spec: https://wiki.open311.org/GeoReport_v2
+ */
+
+const servicesCache = new Map();
+
+/**
+ * The GeoReport endpoint for a jurisdiction: OPEN311_ENDPOINT from config.js
+ * when set (e.g. the local stub), otherwise the directory's entry, if any
+ */
+export function getOpen311Endpoint(jurisdiction) {
+  if (OPEN311_ENDPOINT) {
+    return { endpoint: OPEN311_ENDPOINT, jurisdiction_id: OPEN311_JURISDICTION_ID || null };
+  }
+  return lookupOpen311Endpoint(jurisdiction);
+}
+
+function open311Url({ endpoint, jurisdiction_id }, path) {
+  const query = jurisdiction_id ? `?jurisdiction_id=${encodeURIComponent(jurisdiction_id)}` : "";
+  return `${endpoint.replace(/\/$/, "")}/${path}${query}`;
+}
+
+/**
+ * Parse a GeoReport response; errors come back as [{ code, description }]
+ */
+async function readResponse(response) {
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    // Body was not JSON
+  }
+  if (!response.ok) {
+    const detail = Array.isArray(data) ? data.map((e) => e.description).filter(Boolean).join("; ") : "";
+    const error = new Error(`Open311 server returned ${response.status}${detail ? `: ${detail}` : ""}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * The jurisdiction's service list (cached per endpoint for this session)
+ */
+export async function discoverServices(server) {
+  const url = open311Url(server, "services.json");
+  if (!servicesCache.has(url)) {
+    const services = await readResponse(await fetch(url));
+    if (!Array.isArray(services)) throw new Error("Open311 service list is not an array");
+    servicesCache.set(url, services);
+  }
+  return servicesCache.get(url);
+}
+
+function words(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 3)
+    .map((w) => w.replace(/s$/, ""));
+}
+
+/**
+ * Pick the service that best matches the extracted topic, or null.
+ * An exact service name wins; otherwise topic words found in the name or
+ * keywords count double those found in the description or group.
+ */
+export function matchService(services, topic) {
+  const topicLower = (topic || "").toLowerCase().trim();
+  if (!topicLower) return null;
+
+  const exact = services.find((s) => s.service_name?.toLowerCase() === topicLower);
+  if (exact) return exact;
+
+  const topicWords = words(topicLower);
+  let best = null;
+  let bestScore = 0;
+  for (const service of services) {
+    const strong = new Set(words(`${service.service_name} ${service.keywords}`));
+    const weak = new Set(words(`${service.description} ${service.group}`));
+    const score = topicWords.reduce((sum, w) => sum + (strong.has(w) ? 2 : weak.has(w) ? 1 : 0), 0);
+    if (score > bestScore) {
+      best = service;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find where and how a report could be filed as a service request:
+ * { endpoint, jurisdiction_id, service, services } or null when the
+ * jurisdiction has no Open311 endpoint
+ */
+export async function findOpen311Service({ jurisdiction, topic }) {
+  const server = getOpen311Endpoint(jurisdiction);
+  if (!server) return null;
+  const services = await discoverServices(server);
+  return { ...server, service: matchService(services, topic), services };
+}
+
+/**
+ * Open requests near `location` since `since` (a Date). lat/long/radius are a
+ * common GeoReport extension that some servers ignore, so callers should still
+ * check the distance of what comes back.
+ */
+export async function findOpenRequestsNear(server, { location, radius, since, serviceCode }) {
+  const params = {
+    status: "open",
+    start_date: since.toISOString(),
+    service_code: serviceCode,
+    lat: location.latitude,
+    long: location.longitude,
+    radius,
+  };
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  const url = open311Url(server, "requests.json");
+  const requests = await readResponse(await fetch(`${url}${url.includes("?") ? "&" : "?"}${query}`));
+
+  // Some servers return coordinates as strings
+  return (Array.isArray(requests) ? requests : []).map((r) => ({
+    ...r,
+    lat: r.lat == null ? null : Number(r.lat),
+    long: r.long == null ? null : Number(r.long),
+  }));
+}
+
+/**
+ * Required attributes of a service with metadata, which this app cannot fill in
+ */
+async function requiredAttributes(server, service) {
+  if (!service.metadata) return [];
+  const definition = await readResponse(await fetch(open311Url(server, `services/${service.service_code}.json`)));
+  return (definition?.attributes || []).filter((a) => a.required && a.variable !== false);
+}
+
+/**
+ * Submit a service request. `location` needs latitude/longitude or a street
+ * address; the photo is uploaded as the `media` part. Returns the tracking record that is
+ * stored with the report.
+ */
+export async function submitServiceRequest({ server, service, description, location, photoUri, email }) {
+  const hasCoords = typeof location?.latitude === "number" && typeof location?.longitude === "number";
+  if (!hasCoords && !location?.address) {
+    throw new Error("A service request needs the issue's location. Pick it on the map or send an email instead.");
+  }
+
+  const missing = await requiredAttributes(server, service);
+  if (missing.length) {
+    throw new Error(
+      `"${service.service_name}" needs details this app can't fill in yet (${missing
+        .map((a) => a.description || a.code)
+        .join(", ")}). Send an email instead.`
+    );
+  }
+
+  const form = new FormData();
+  const fields = {
+    jurisdiction_id: server.jurisdiction_id,
+    api_key: OPEN311_API_KEY,
+    service_code: service.service_code,
+    lat: hasCoords ? location.latitude : null,
+    long: hasCoords ? location.longitude : null,
+    address_string: location.address,
+    description,
+    email,
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== null && value !== undefined && value !== "") form.append(key, String(value));
+  }
+  if (photoUri) {
+    const name = photoUri.split("/").pop() || "photo.jpg";
+    form.append("media", { uri: photoUri, name, type: /\.png$/i.test(name) ? "image/png" : "image/jpeg" });
+  }
+
+  const data = await readResponse(await fetch(open311Url(server, "requests.json"), { method: "POST", body: form }));
+  const receipt = Array.isArray(data) ? data[0] : data;
+  if (!receipt?.service_request_id && !receipt?.token) {
+    throw new Error("Open311 server did not return a service request id");
+  }
+
+  const now = new Date().toISOString();
+  return {
+    endpoint: server.endpoint,
+    jurisdiction_id: server.jurisdiction_id || null,
+    service_code: service.service_code,
+    service_name: service.service_name,
+    service_request_id: receipt.service_request_id || null,
+    token: receipt.token || null,
+    service_notice: receipt.service_notice || null,
+    status: "open",
+    status_notes: null,
+    submitted_at: now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Fetch the latest status of a filed request. Servers that queue requests
+ * return a token first; it is swapped for the service_request_id here.
+ */
+export async function refreshServiceRequest(record) {
+  const server = { endpoint: record.endpoint, jurisdiction_id: record.jurisdiction_id };
+  let serviceRequestId = record.service_request_id;
+
+  if (!serviceRequestId && record.token) {
+    const [tokenInfo] = (await readResponse(await fetch(open311Url(server, `tokens/${record.token}.json`)))) || [];
+    serviceRequestId = tokenInfo?.service_request_id;
+    if (!serviceRequestId) return { ...record, updated_at: new Date().toISOString() };
+  }
+
+  const [request] = (await readResponse(await fetch(open311Url(server, `requests/${serviceRequestId}.json`)))) || [];
+  if (!request) throw new Error(`Service request ${serviceRequestId} was not found`);
+
+  return {
+    ...record,
+    service_request_id: serviceRequestId,
+    status: request.status || record.status,
+    status_notes: request.status_notes || null,
+    updated_at: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,338 @@
+import {
+  LLM_PROVIDER,
+  GEMINI_API_KEY,
+  GEMINI_MODEL,
+  OPENAI_BASE_URL,
+  OPENAI_API_KEY,
+  OPENAI_MODEL,
+  OLLAMA_URL,
+  OLLAMA_MODEL,
+  RECORD_FIXTURES,
+} from "./config.js";
+import fixtures from "./fixtures/llm.js";
+import { streamLines, sseData, parseStreamJSON } from "./stream.js";
+import { httpError, NetworkError } from "./errors.js";
+import { toJSONSchema } from "./schemas.js";
+
+/**
+ * Every provider exposes the same shape so callGemini can stay provider-agnostic:
+ *
+ *   generate(prompt, { useSearch, images, signal, schema }) -> { text, finishReason, blockReason }
+ *
+ * images are { mimeType, data } with base64 data, sent as inline image parts.
+ * `schema` (from schemas.js) asks for JSON output in the provider's own way:
+ * Gemini's responseSchema (not allowed together with search grounding), OpenAI's
+ * JSON mode, Ollama's `format`. callGemini still validates what comes back.
+ * `signal` (an AbortSignal) cancels the request; it then rejects with an AbortError.
+ * finishReason is normalized to Gemini's vocabulary ("STOP", "MAX_TOKENS", "SAFETY").
+ * HTTP failures throw the errors.js type for the status (RateLimitedError with
+ * the server's Retry-After, NetworkError for 5xx); no connection is a NetworkError.
+ *
+ *   stream(prompt, { images, signal, schema, onText }) -> same result
+ *
+ * streams the response without search grounding, calling onText(textSoFar) as
+ * text arrives.
+ */
+
+const TEMPERATURE = 0.2;
+const MAX_OUTPUT_TOKENS = 2048;
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ */
+async function postJSON(label, url, body, headers = {}, signal = undefined) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    throw e.name === "AbortError" ? e : new NetworkError(`${label} request failed: ${e.message}`);
+  }
+
+  if (!response.ok) {
+    throw httpError(label, response.status, await response.text(), response.headers.get("Retry-After"));
+  }
+
+  return response.json();
+}
+
+/**
+ * Google Gemini generateContent (supports Google Search grounding)
+ */
+const geminiProvider = {
+  name: "gemini",
+  supportsSearch: true,
+
+  requestBody(prompt, { useSearch = false, images = [], schema = null }) {
+    const imageParts = images.map((image) => ({ inline_data: { mime_type: image.mimeType, data: image.data } }));
+    const requestBody = {
+      contents: [{ parts: [...imageParts, { text: prompt }] }],
+      generationConfig: {
+        temperature: TEMPERATURE,
+        maxOutputTokens: MAX_OUTPUT_TOKENS,
+      },
+    };
+
+    // Enable Google Search grounding
+    if (useSearch) {
+      requestBody.tools = [{ google_search: {} }];
+    } else if (schema) {
+      // JSON mode can't be combined with tools, so grounded calls rely on validation alone
+      requestBody.generationConfig.responseMimeType = "application/json";
+      requestBody.generationConfig.responseSchema = schema;
+    }
+    return requestBody;
+  },
+
+  async generate(prompt, { useSearch, images = [], signal, schema }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
+    const data = await postJSON("Gemini", url, this.requestBody(prompt, { useSearch, images, schema }), {}, signal);
+    const candidate = data.candidates?.[0];
+    return {
+      text: candidate?.content?.parts?.[0]?.text,
+      finishReason: candidate?.finishReason,
+      blockReason: data.promptFeedback?.blockReason,
+    };
+  },
+
+  async stream(prompt, { images = [], signal, schema, onText }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`;
+    const result = { text: "", finishReason: null, blockReason: null };
+    await streamLines("Gemini", url, { body: this.requestBody(prompt, { images, schema }), signal }, (line) => {
+      const data = sseData("Gemini", line);
+      if (!data) return;
+      const candidate = data.candidates?.[0];
+      const text = candidate?.content?.parts?.map((part) => part.text || "").join("") || "";
+      result.finishReason = candidate?.finishReason || result.finishReason;
+      result.blockReason = data.promptFeedback?.blockReason || result.blockReason;
+      if (text) {
+        result.text += text;
+        onText(result.text);
+      }
+    });
+    return result;
+  },
+};
+
+const OPENAI_FINISH_REASONS = { stop: "STOP", length: "MAX_TOKENS", content_filter: "SAFETY" };
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint
+ */
+const openaiProvider = {
+  name: "openai",
+  supportsSearch: false,
+
+  requestBody(prompt, images, schema) {
+    const content = images.length
+      ? [
+          { type: "text", text: prompt },
+          ...images.map((image) => ({
+            type: "image_url",
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+          })),
+        ]
+      : prompt;
+    return {
+      model: OPENAI_MODEL,
+      messages: [{ role: "user", content }],
+      temperature: TEMPERATURE,
+      max_tokens: MAX_OUTPUT_TOKENS,
+      // JSON mode rather than json_schema: far more compatible servers support it
+      ...(schema ? { response_format: { type: "json_object" } } : {}),
+    };
+  },
+
+  async generate(prompt, { images = [], signal, schema }) {
+    const data = await postJSON(
+      "OpenAI",
+      `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`,
+      this.requestBody(prompt, images, schema),
+      OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {},
+      signal
+    );
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content,
+      finishReason: OPENAI_FINISH_REASONS[choice?.finish_reason] || choice?.finish_reason,
+      blockReason: null,
+    };
+  },
+
+  async stream(prompt, { images = [], signal, schema, onText }) {
+    const result = { text: "", finishReason: null, blockReason: null };
+    await streamLines(
+      "OpenAI",
+      `${OPENAI_BASE_URL.replace(/\/$/, "")}/chat/completions`,
+      {
+        body: { ...this.requestBody(prompt, images, schema), stream: true },
+        headers: OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {},
+        signal,
+      },
+      (line) => {
+        const choice = sseData("OpenAI", line)?.choices?.[0];
+        if (!choice) return;
+        if (choice.finish_reason) {
+          result.finishReason = OPENAI_FINISH_REASONS[choice.finish_reason] || choice.finish_reason;
+        }
+        if (choice.delta?.content) {
+          result.text += choice.delta.content;
+          onText(result.text);
+        }
+      }
+    );
+    return result;
+  },
+};
+
+/**
+ * Local Ollama-style server (/api/generate, non-streaming)
+ */
+const ollamaProvider = {
+  name: "ollama",
+  supportsSearch: false,
+
+  requestBody(prompt, images, stream, schema) {
+    return {
+      model: OLLAMA_MODEL,
+      prompt,
+      ...(images.length ? { images: images.map((image) => image.data) } : {}),
+      ...(schema ? { format: toJSONSchema(schema) } : {}),
+      stream,
+      options: { temperature: TEMPERATURE, num_predict: MAX_OUTPUT_TOKENS },
+    };
+  },
+
+  async generate(prompt, { images = [], signal, schema }) {
+    const url = `${OLLAMA_URL.replace(/\/$/, "")}/api/generate`;
+    const data = await postJSON("Ollama", url, this.requestBody(prompt, images, false, schema), {}, signal);
+    return {
+      text: data.response,
+      finishReason: data.done_reason === "length" ? "MAX_TOKENS" : "STOP",
+      blockReason: null,
+    };
+  },
+
+  // Streams NDJSON: one { response, done } object per line
+  async stream(prompt, { images = [], signal, schema, onText }) {
+    const url = `${OLLAMA_URL.replace(/\/$/, "")}/api/generate`;
+    const result = { text: "", finishReason: null, blockReason: null };
+    await streamLines("Ollama", url, { body: this.requestBody(prompt, images, true, schema), signal }, (line) => {
+      if (!line.trim()) return;
+      const data = parseStreamJSON("Ollama", line);
+      if (data.response) {
+        result.text += data.response;
+        onText(result.text);
+      }
+      if (data.done) result.finishReason = data.done_reason === "length" ? "MAX_TOKENS" : "STOP";
+    });
+    return result;
+  },
+};
+
+const MOCK_STREAM_CHUNK = 24;
+
+// Matches the AbortError fetch rejects with
+function mockAbortError() {
+  const error = new Error("The request was aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Deterministic provider that replays fixtures/llm.js — no network
+ */
+const mockProvider = {
+  name: "mock",
+  supportsSearch: true,
+
+  async generate(prompt, { signal } = {}) {
+    if (signal?.aborted) throw mockAbortError();
+    const text = findFixture(prompt);
+    if (text === undefined) {
+      const firstLine = prompt.trim().split("\n")[0].substring(0, 80);
+      throw new Error(`No mock fixture for prompt ${fixtureKey(prompt)}: "${firstLine}"`);
+    }
+    return { text, finishReason: "STOP", blockReason: null };
+  },
+
+  // Replays the fixture in small chunks so streaming UI can be exercised offline
+  async stream(prompt, { signal, onText }) {
+    const result = await this.generate(prompt, { signal });
+    for (let i = MOCK_STREAM_CHUNK; i < result.text.length; i += MOCK_STREAM_CHUNK) {
+      onText(result.text.slice(0, i));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (signal?.aborted) throw mockAbortError();
+    }
+    onText(result.text);
+    return result;
+  },
+};
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Look up a provider by name (defaults to LLM_PROVIDER from config.js)
+ */
+export function getProvider(name = LLM_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return provider;
+}
+
+/**
+ * Stable key for a prompt (FNV-1a over whitespace-normalized text)
+ */
+export function fixtureKey(prompt) {
+  const normalized = prompt.replace(/\s+/g, " ").trim();
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Exact recorded response first, then the first hand-written rule whose
+ * `match` substrings all appear in the prompt
+ */
+function findFixture(prompt) {
+  const recorded = fixtures.recorded?.[fixtureKey(prompt)];
+  if (recorded !== undefined) return recorded.text;
+
+  const rule = (fixtures.rules || []).find((r) => r.match.every((m) => prompt.includes(m)));
+  if (!rule) return undefined;
+  return typeof rule.response === "string" ? rule.response : JSON.stringify(rule.response);
+}
+
+const recordedFixtures = {};
+
+/**
+ * Remember a real provider response so it can be replayed by the mock provider
+ */
+export function recordFixture(prompt, text) {
+  if (!RECORD_FIXTURES) return;
+  recordedFixtures[fixtureKey(prompt)] = {
+    prompt: prompt.trim().split("\n")[0].substring(0, 80),
+    text,
+  };
+}
+
+/**
+ * Responses captured while RECORD_FIXTURES is on, in fixtures/llm.js `recorded` format
+ */
+export function getRecordedFixtures() {
+  return { ...recordedFixtures };
+}
@@ -0,0 +1,265 @@
+import { useEffect, useRef, useState } from "react";
+import { AppState } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import * as Notifications from "expo-notifications";
+import { generateEmailDraft } from "./api.js";
+import { RateLimitedError } from "./errors.js";
+import { prepareImageForModel } from "./image.js";
+import { createReport, persistPhoto, deletePhoto } from "./history.js";
+
+/**
+ * Reports captured while offline.
+ *
+ * Items wait in AsyncStorage until the device is back online, then go through
+ * generateEmailDraft one at a time. A drafted item becomes a normal history
+ * report and the user gets a notification; a failed item stays in the queue
+ * with its error until the user retries or cancels it.
+ */
+
+const STORAGE_KEY = "civicreport.queue.v1";
+
+export const QUEUE_STATUSES = ["waiting", "processing", "failed"];
+
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * The stored queue. Throws when it can't be read or parsed, so that a write
+ * never replaces a queue it failed to load (as in history.js).
+ */
+async function readAll() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    throw new Error(`Could not read the reports saved for later: ${e.message}`);
+  }
+}
+
+const listeners = new Set();
+
+async function writeAll(items) {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  listeners.forEach((listener) => listener(items));
+}
+
+let pendingWrite = Promise.resolve();
+
+/**
+ * Run read-modify-write operations one at a time (see history.js)
+ */
+function serialized(operation) {
+  const result = pendingWrite.then(operation);
+  pendingWrite = result.catch(() => {});
+  return result;
+}
+
+function updateItem(id, changes) {
+  return serialized(async () => {
+    const items = await readAll();
+    await writeAll(items.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  });
+}
+
+function removeItem(id) {
+  return serialized(async () => {
+    const items = await readAll();
+    await writeAll(items.filter((item) => item.id !== id));
+  });
+}
+
+/**
+ * NetInfo reports isInternetReachable as null until it has checked, so only an explicit false counts
+ */
+function isOnline(state) {
+  return state.isConnected !== false && state.isInternetReachable !== false;
+}
+
+export async function isDeviceOnline() {
+  return isOnline(await NetInfo.fetch());
+}
+
+/**
+ * Queued reports, oldest first
+ */
+export async function loadQueue() {
+  const items = await readAll();
+  return items.sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Save a report to draft later. The photo is copied out of the cache right away.
+ */
+export async function enqueueReport({ description, location, photo, jurisdictionId = null }) {
+  const id = `q_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const item = {
+    id,
+    created_at: new Date().toISOString(),
+    description,
+    location: location || null,
+    photo: persistPhoto(photo, id),
+    jurisdiction_id: jurisdictionId,
+    status: "waiting",
+    attempts: 0,
+    last_error: null,
+    last_attempt_at: null,
+  };
+
+  await serialized(async () => writeAll([...(await readAll()), item]));
+
+  // Ask now, while the user is looking at the app, rather than when the draft is ready
+  Notifications.requestPermissionsAsync().catch((e) =>
+    console.log("Notification permission request failed:", e.message)
+  );
+  return item;
+}
+
+/**
+ * Drop a queued report and its photo
+ */
+export async function cancelQueued(id) {
+  const item = (await readAll()).find((i) => i.id === id);
+  await removeItem(id);
+  deletePhoto(item?.photo);
+}
+
+/**
+ * Put a failed report back in line and try it now
+ */
+export async function retryQueued(id) {
+  await updateItem(id, { status: "waiting", last_error: null });
+  return processQueue();
+}
+
+async function notifyDraftReady(report) {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: "Your report is ready for review",
+        body: report.draft?.subject || "A draft email is waiting in History.",
+        data: { reportId: report.id },
+      },
+      trigger: null,
+    });
+  } catch (e) {
+    console.log("Could not show draft notification:", e.message);
+  }
+}
+
+async function draftItem(item) {
+  const image = await prepareImageForModel(item.photo);
+  const { trace, ...draft } = await generateEmailDraft({
+    description: item.description,
+    location: item.location,
+    hasPhoto: !!item.photo,
+    image,
+    jurisdictionId: item.jurisdiction_id,
+  });
+  return createReport({ description: item.description, location: item.location, photo: item.photo, draft, trace });
+}
+
+let running = null;
+
+/**
+ * Draft every waiting report while the device stays online. Only one run happens
+ * at a time; calling this during a run returns the same promise.
+ */
+export function processQueue() {
+  if (!running) {
+    running = runQueue().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function processInBackground() {
+  processQueue().catch((e) => console.error("Report queue run failed:", e.message));
+}
+
+async function runQueue() {
+  // Anything still "processing" outside a run was interrupted (e.g. the app was closed)
+  const queued = (await loadQueue()).filter((item) => item.status !== "failed");
+
+  for (const { id } of queued) {
+    if (!(await isDeviceOnline())) return;
+    // Cancelled or failed since the run started
+    const item = (await readAll()).find((i) => i.id === id);
+    if (!item || item.status === "failed") continue;
+
+    await updateItem(item.id, { status: "processing", last_attempt_at: new Date().toISOString() });
+    try {
+      const report = await draftItem(item);
+      await removeItem(item.id);
+      await notifyDraftReady(report);
+    } catch (e) {
+      // Losing the connection mid-draft or a busy model service is not the
+      // report's fault: keep it waiting and stop until the next run
+      const offline = !(await isDeviceOnline());
+      const busy = e instanceof RateLimitedError;
+      await updateItem(item.id, {
+        status: offline || busy ? "waiting" : "failed",
+        attempts: item.attempts + 1,
+        last_error: e.message,
+      });
+      if (offline || busy) return;
+    }
+  }
+}
+
+/**
+ * Hook used by the app: tracks the queue and connectivity, drafts waiting
+ * reports when the device comes back online or the app returns to the
+ * foreground, and calls `onOpenReport(reportId)` when a notification is tapped.
+ */
+export function useReportQueue({ onOpenReport }) {
+  const [items, setItems] = useState([]);
+  const [online, setOnline] = useState(true);
+  const openRef = useRef(onOpenReport);
+  openRef.current = onOpenReport;
+
+  useEffect(() => {
+    const listener = (next) => setItems([...next].sort((a, b) => a.created_at.localeCompare(b.created_at)));
+    listeners.add(listener);
+    loadQueue()
+      .then(setItems)
+      .catch((e) => console.error("Failed to read report queue:", e.message));
+
+    const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      setOnline(isOnline(state));
+      if (isOnline(state)) processInBackground();
+    });
+    const appStateSubscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") processInBackground();
+    });
+
+    const openFromResponse = (response) => {
+      const reportId = response?.notification.request.content.data?.reportId;
+      if (reportId) openRef.current(reportId);
+    };
+    const responseSubscription = Notifications.addNotificationResponseReceivedListener(openFromResponse);
+    Notifications.getLastNotificationResponseAsync().then(openFromResponse);
+
+    return () => {
+      listeners.delete(listener);
+      unsubscribeNetInfo();
+      appStateSubscription.remove();
+      responseSubscription.remove();
+    };
+  }, []);
+
+  return {
+    items,
+    online,
+    enqueue: enqueueReport,
+    retry: retryQueued,
+    cancel: cancelQueued,
+  };
+}
@@ -0,0 +1,93 @@
+import { hostOf, isOfficialDomain } from "./evidence.js";
+
+/**
+ * Rank recipient candidates from the directory and the concurrent search passes.
+ *
+ * Each candidate gets a 0..1 value for four signals, combined with RANK_WEIGHTS:
+ * - evidence: hand-checked directory > hand-checked city profile > the fetched
+ *   official page showing the address > a source quoting it (a page on the
+ *   evidence.js official-domain allowlist first) > none. Unchecked curated
+ *   contacts only count for what their page shows.
+ * - relevance: the relevance.js score (unscored contacts count as neutral)
+ * - dns: the email domain has MX records (a domain known to lack them is penalized)
+ * - specificity: which pass found it, topic-specific first
+ */
+
+export const RANK_WEIGHTS = { evidence: 0.3, relevance: 0.3, dns: 0.2, specificity: 0.2 };
+
+const SPECIFICITY = {
+  DIRECTORY: 1,
+  TOPIC_SPECIFIC: 0.8,
+  AGENCY_MAIN: 0.6,
+  JURISDICTION_GENERAL: 0.3,
+  COUNCIL: 0.1,
+  UNVERIFIED_GUESS: 0,
+};
+
+// Relevant candidates score from the relevance.js threshold (0) to about a hinted city department (8)
+const RELEVANCE_MIN = 0;
+const RELEVANCE_MAX = 8;
+
+function evidenceValue({ email, evidence, source_verified }) {
+  if (!evidence) return [0, "no evidence"];
+  if (evidence.directory_version && evidence.last_verified) return [1, "curated directory"];
+  if (evidence.profile_version && evidence.last_verified) return [0.9, "city profile"];
+  // The page itself was fetched (evidence.js): stronger than any quote either way
+  if (source_verified === true) return [0.85, "address found on the official page"];
+  if (source_verified === false) return [0.3, "page is not on an official domain"];
+  if (!evidence.quoted_snippet?.includes(email)) return [0.1, "source does not quote the address"];
+
+  // An address quoted on its own domain proves nothing; only the allowlist makes a page official
+  const official = isOfficialDomain(hostOf(evidence.source_url));
+  return official ? [0.8, "quoted on an official page"] : [0.5, "quoted on a source page"];
+}
+
+function relevanceValue({ relevance }) {
+  if (!relevance) return [0.5, "relevance not scored"];
+  const clamped = Math.min(RELEVANCE_MAX, Math.max(RELEVANCE_MIN, relevance.score));
+  return [(clamped - RELEVANCE_MIN) / (RELEVANCE_MAX - RELEVANCE_MIN), `relevance ${relevance.score}`];
+}
+
+function dnsValue({ dns_verified }) {
+  if (dns_verified === true) return [1, "domain accepts mail"];
+  if (dns_verified === false) return [0, "domain has no mail server"];
+  return [0.5, "domain not checked"];
+}
+
+function specificityValue({ fallback_level }) {
+  return [SPECIFICITY[fallback_level] ?? 0.3, fallback_level || "unknown pass"];
+}
+
+/**
+ * Score one candidate: { score (0..1), parts: { evidence, relevance, dns, specificity }, reasons }
+ */
+export function scoreCandidate(candidate) {
+  const values = {
+    evidence: evidenceValue(candidate),
+    relevance: relevanceValue(candidate),
+    dns: dnsValue(candidate),
+    specificity: specificityValue(candidate),
+  };
+  let score = 0;
+  const parts = {};
+  for (const [signal, [value]] of Object.entries(values)) {
+    parts[signal] = Math.round(value * 100) / 100;
+    score += RANK_WEIGHTS[signal] * value;
+  }
+  return {
+    score: Math.round(score * 1000) / 1000,
+    parts,
+    reasons: Object.values(values).map(([, reason]) => reason),
+  };
+}
+
+/**
+ * A new array of the candidates, best first, each with its `rank` breakdown.
+ * Ties keep the incoming order (most specific pass first).
+ */
+export function rankCandidates(candidates) {
+  return candidates
+    .map((candidate, index) => ({ candidate: { ...candidate, rank: scoreCandidate(candidate) }, index }))
+    .sort((a, b) => b.candidate.rank.score - a.candidate.rank.score || a.index - b.index)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,143 @@
+import defaultRules from "./data/relevance-rules.json";
+import { findProfile, departmentHint } from "./jurisdictions.js";
+
+/**
+ * Department relevance scoring, driven by data/relevance-rules.json.
+ *
+ * A rule matches the candidate's agency name and/or email (`field`: "agency",
+ * "email" or "any", the default) by substring (`match`) or regex (`pattern`,
+ * case-insensitive). `topics` limits it to reports whose topic contains one of
+ * them, and `unless` lists substrings that switch it off ("Street Permits &
+ * Maintenance" is not a permit office).
+ *
+ * - `deny` rules reject the candidate outright
+ * - `allow` rules win over every deny rule and add their `weight` (default 1)
+ * - `keywords` add their `weight`, which may be negative
+ *
+ * `jurisdictions` holds per-profile (data/jurisdictions.js id) rules that are
+ * checked along with the defaults. The profile's department hint for the topic
+ * counts as an allow rule. A candidate is relevant when nothing denies it and
+ * its score reaches `threshold`. At 0, a generic inbox (-1) needs some other
+ * sign that it handles the topic.
+ */
+
+const HINT_WEIGHT = 3;
+
+const compiled = new WeakMap();
+
+function compileRule(rule) {
+  return {
+    ...rule,
+    match: (rule.match || []).map((m) => m.toLowerCase()),
+    regex: rule.pattern ? new RegExp(rule.pattern, "i") : null,
+    topics: (rule.topics || []).map((t) => t.toLowerCase()),
+    unless: (rule.unless || []).map((u) => u.toLowerCase()),
+    weight: typeof rule.weight === "number" ? rule.weight : 1,
+  };
+}
+
+function compileGroup(group = {}) {
+  return {
+    allow: (group.allow || []).map(compileRule),
+    deny: (group.deny || []).map(compileRule),
+    keywords: (group.keywords || []).map(compileRule),
+  };
+}
+
+/**
+ * Regexes are built once per rule set
+ */
+function compile(rules) {
+  if (!compiled.has(rules)) {
+    compiled.set(rules, {
+      version: rules.version || null,
+      threshold: typeof rules.threshold === "number" ? rules.threshold : 0,
+      defaults: compileGroup(rules.defaults),
+      jurisdictions: Object.fromEntries(
+        Object.entries(rules.jurisdictions || {}).map(([id, group]) => [id, compileGroup(group)])
+      ),
+    });
+  }
+  return compiled.get(rules);
+}
+
+/**
+ * The text that made the rule match ("" when it doesn't)
+ */
+function ruleMatch(rule, fields, topicLower) {
+  if (rule.topics.length && !rule.topics.some((t) => topicLower.includes(t))) return "";
+  const text = fields[rule.field || "any"] ?? fields.any;
+  if (rule.unless.some((u) => text.includes(u))) return "";
+  return rule.match.find((m) => text.includes(m)) || (rule.regex && text.match(rule.regex)?.[0]) || "";
+}
+
+function describeRule(rule, matched) {
+  return rule.reason || `"${matched}"`;
+}
+
+/**
+ * Score how likely `agencyName` / `email` is to handle `topic` reports in
+ * `jurisdiction`. Returns { relevant, score, reasons, denied_by, rules_version };
+ * `reasons` are short human-readable lines for the routing trace.
+ */
+export function scoreDepartment({ topic, agencyName, email, jurisdiction = null }, rules = defaultRules) {
+  const ruleSet = compile(rules);
+  const result = { relevant: false, score: 0, reasons: [], denied_by: null, rules_version: ruleSet.version };
+  if (!agencyName && !email) {
+    result.reasons.push("No department or email to check");
+    return result;
+  }
+
+  const agency = (agencyName || "").toLowerCase();
+  const address = (email || "").toLowerCase().trim();
+  const fields = { agency, email: address, any: `${agency} ${address}` };
+  const topicLower = (topic || "").toLowerCase();
+
+  const profile = findProfile(jurisdiction);
+  const groups = [ruleSet.defaults, profile && ruleSet.jurisdictions[profile.id]].filter(Boolean);
+
+  let allowed = false;
+  const hint = departmentHint(profile, topic);
+  if (hint && agency.includes(hint.split(" (")[0].toLowerCase())) {
+    allowed = true;
+    result.score += HINT_WEIGHT;
+    result.reasons.push(`+${HINT_WEIGHT} ${hint} handles ${topic} reports here`);
+  }
+
+  for (const group of groups) {
+    for (const rule of group.allow) {
+      const matched = ruleMatch(rule, fields, topicLower);
+      if (!matched) continue;
+      allowed = true;
+      result.score += rule.weight;
+      result.reasons.push(`+${rule.weight} allowed: ${describeRule(rule, matched)}`);
+    }
+  }
+
+  for (const group of groups) {
+    for (const rule of group.keywords) {
+      const matched = ruleMatch(rule, fields, topicLower);
+      if (!matched) continue;
+      result.score += rule.weight;
+      result.reasons.push(`${rule.weight >= 0 ? "+" : ""}${rule.weight} ${describeRule(rule, matched)}`);
+    }
+  }
+
+  if (!allowed) {
+    for (const group of groups) {
+      for (const rule of group.deny) {
+        const matched = ruleMatch(rule, fields, topicLower);
+        if (!matched) continue;
+        result.denied_by = rule.id || null;
+        result.reasons.push(`Denied: ${describeRule(rule, matched)}`);
+        return result;
+      }
+    }
+  }
+
+  result.relevant = result.score >= ruleSet.threshold;
+  if (!result.relevant) result.reasons.push(`Score ${result.score} is below the threshold of ${ruleSet.threshold}`);
+  return result;
+}
+
+export const RELEVANCE_RULES_VERSION = defaultRules.version;
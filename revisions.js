@@ -0,0 +1,134 @@
+/**
+ * Per-report draft version history.
+ *
+ * `versions` is append-only so the version list never loses anything; `trail`
+ * is the undo/redo path through it (version ids) and `position` points at the
+ * current entry. Every function returns a new stack so it can live in React state.
+ */
+
+/**
+ * Start a stack from the first generated draft
+ */
+export function createVersionStack(draft, label = "Original draft") {
+  const version = { id: 0, draft, label, source: "original", created_at: new Date().toISOString() };
+  return { versions: [version], trail: [0], position: 0 };
+}
+
+/**
+ * The version currently shown in the editor
+ */
+export function currentVersion(stack) {
+  return stack.versions[stack.trail[stack.position]];
+}
+
+export function canUndo(stack) {
+  return stack.position > 0;
+}
+
+export function canRedo(stack) {
+  return stack.position < stack.trail.length - 1;
+}
+
+/**
+ * Record a new draft. `source` is "manual", "ai" or "restore".
+ * Anything that could have been redone is dropped from the trail (not from versions).
+ */
+export function pushVersion(stack, draft, { label, source }) {
+  const version = { id: stack.versions.length, draft, label, source, created_at: new Date().toISOString() };
+  return {
+    versions: [...stack.versions, version],
+    trail: [...stack.trail.slice(0, stack.position + 1), version.id],
+    position: stack.position + 1,
+  };
+}
+
+/**
+ * Make an earlier version current again (undoable like any other change)
+ */
+export function restoreVersion(stack, id) {
+  if (!stack.versions[id] || stack.trail[stack.position] === id) return stack;
+  return {
+    ...stack,
+    trail: [...stack.trail.slice(0, stack.position + 1), id],
+    position: stack.position + 1,
+  };
+}
+
+export function undo(stack) {
+  return canUndo(stack) ? { ...stack, position: stack.position - 1 } : stack;
+}
+
+export function redo(stack) {
+  return canRedo(stack) ? { ...stack, position: stack.position + 1 } : stack;
+}
+
+// Above this many LCS cells the diff falls back to whole-line tokens
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Word-level diff of two strings as [{ type: "same" | "added" | "removed", text }].
+ * Whitespace is kept as its own token so joining the segments reproduces the text.
+ */
+export function diffWords(before = "", after = "") {
+  let a = before.split(/(\s+)/).filter(Boolean);
+  let b = after.split(/(\s+)/).filter(Boolean);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = before.split(/(\n)/).filter(Boolean);
+    b = after.split(/(\n)/).filter(Boolean);
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const emit = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      emit("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      emit("removed", a[i++]);
+    } else {
+      emit("added", b[j++]);
+    }
+  }
+  while (i < a.length) emit("removed", a[i++]);
+  while (j < b.length) emit("added", b[j++]);
+
+  return segments;
+}
+
+/**
+ * Diff the user-visible fields of two drafts
+ */
+export function diffDrafts(before, after) {
+  return {
+    to: diffWords(before?.to || "", after?.to || ""),
+    subject: diffWords(before?.subject || "", after?.subject || ""),
+    body: diffWords(before?.body || "", after?.body || ""),
+  };
+}
+
+/**
+ * Split a diffWords result into the two sides of a side-by-side view: `before`
+ * keeps the removed text and `after` the added text, each with the text both share
+ */
+export function splitDiff(segments) {
+  return {
+    before: segments.filter((segment) => segment.type !== "added"),
+    after: segments.filter((segment) => segment.type !== "removed"),
+  };
+}
@@ -0,0 +1,117 @@
+import { normalizeJurisdiction, DIRECTORY_VERSION } from "./directory.js";
+
+/**
+ * Validated routing results reused across reports, so the next pothole in the
+ * same city skips the searches and the DNS check.
+ *
+ * Entries are keyed by normalized jurisdiction + topic and hold the primary
+ * recipient's routing (`to`, `agency_name`, `evidence`, `fallback_level`,
+ * `dns_verified`) plus the ranked candidates. They expire after `ttlMs`, and
+ * all at once when the curated directory's version changes. Only results backed
+ * by the directory or a validated search are stored: never a guess or the
+ * city profile's fallback contact.
+ *
+ * `storage` is anything with AsyncStorage's getItem / setItem. The app passes
+ * AsyncStorage; the routing proxy passes a JSON file, so in proxy mode every
+ * device shares the server's cache.
+ */
+
+const STORAGE_KEY = "civicreport.routes.v1";
+const MAX_ENTRIES = 200;
+
+export const ROUTE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * "City of Palo Alto, CA" + "Pothole " → "palo alto, ca|pothole"
+ */
+export function routeCacheKey(jurisdiction, topic) {
+  const normalizedTopic = (topic || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return `${normalizeJurisdiction(jurisdiction)}|${normalizedTopic}`;
+}
+
+/**
+ * A cache over `storage`: { get, set, invalidate, clear }, all async.
+ * Storage failures are logged and treated as a miss; they never fail a draft.
+ */
+export function createRouteCache(storage, { ttlMs = ROUTE_CACHE_TTL_MS, now = () => Date.now() } = {}) {
+  let entries = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (!entries) {
+      try {
+        const stored = await storage.getItem(STORAGE_KEY);
+        entries = stored ? JSON.parse(stored) : {};
+      } catch (e) {
+        console.log("Could not load the routing cache:", e.message);
+        entries = {};
+      }
+    }
+    return entries;
+  }
+
+  const isFresh = (entry) =>
+    !!entry && entry.directory_version === DIRECTORY_VERSION && now() - Date.parse(entry.cached_at) < ttlMs;
+
+  // Writes are queued so an older snapshot never lands after a newer one
+  function save() {
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => isFresh(entry))
+      .sort(([, a], [, b]) => Date.parse(b.cached_at) - Date.parse(a.cached_at))
+      .slice(0, MAX_ENTRIES);
+    entries = Object.fromEntries(kept);
+    const snapshot = JSON.stringify(entries);
+    writing = writing
+      .then(() => storage.setItem(STORAGE_KEY, snapshot))
+      .catch((e) => console.log("Could not save the routing cache:", e.message));
+    return writing;
+  }
+
+  return {
+    /**
+     * The fresh entry for this jurisdiction and topic, or null
+     */
+    async get(jurisdiction, topic) {
+      const entry = (await load())[routeCacheKey(jurisdiction, topic)];
+      return isFresh(entry) ? entry : null;
+    },
+
+    /**
+     * Store ranked candidates (best first) as the routing for this jurisdiction and topic
+     */
+    async set(jurisdiction, topic, candidates) {
+      const [primary] = candidates;
+      if (!primary) return null;
+      await load();
+      const entry = {
+        jurisdiction,
+        topic,
+        to: primary.email,
+        agency_name: primary.agency_name,
+        evidence: primary.evidence,
+        fallback_level: primary.fallback_level,
+        dns_verified: primary.dns_verified,
+        candidates,
+        cached_at: new Date(now()).toISOString(),
+        directory_version: DIRECTORY_VERSION,
+      };
+      entries[routeCacheKey(jurisdiction, topic)] = entry;
+      await save();
+      return entry;
+    },
+
+    async invalidate(jurisdiction, topic) {
+      await load();
+      delete entries[routeCacheKey(jurisdiction, topic)];
+      await save();
+    },
+
+    async clear() {
+      entries = {};
+      await save();
+    },
+  };
+}
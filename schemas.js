@@ -0,0 +1,206 @@
+/**
+ * Response schemas for the model calls in gemini.js, and the validator that
+ * checks (and repairs where it safely can) what comes back.
+ *
+ * Schemas use the OpenAPI subset Gemini accepts as `responseSchema`: `type`
+ * ("OBJECT", "ARRAY", "STRING", "NUMBER", "BOOLEAN"), `properties`, `required`,
+ * `items`, `enum`, `nullable`, `minimum` / `maximum`. toJSONSchema converts one
+ * for providers that take plain JSON Schema (Ollama's `format`).
+ */
+
+const EVIDENCE = {
+  type: "OBJECT",
+  nullable: true,
+  properties: {
+    source_title: { type: "STRING" },
+    source_url: { type: "STRING" },
+    quoted_snippet: { type: "STRING" },
+  },
+};
+
+const CONFIDENCE = { type: "NUMBER", minimum: 0, maximum: 1 };
+
+/**
+ * extractLocation: the place named in the description
+ */
+export const LOCATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    city: { type: "STRING" },
+    state: { type: "STRING" },
+    hasLocation: { type: "BOOLEAN" },
+  },
+  required: ["city", "state", "hasLocation"],
+};
+
+/**
+ * Reverse geocoding of coordinates outside the bundled boundaries
+ */
+export const GEOCODE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    city: { type: "STRING" },
+    state: { type: "STRING" },
+  },
+  required: ["city", "state"],
+};
+
+export const TOPIC_SCHEMA = {
+  type: "OBJECT",
+  properties: { topic: { type: "STRING" } },
+  required: ["topic"],
+};
+
+/**
+ * A grounded search for a contact: the search passes and the council lookup
+ */
+export const SEARCH_RESULT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    found: { type: "BOOLEAN" },
+    email: { type: "STRING" },
+    agency_name: { type: "STRING", nullable: true },
+    evidence: EVIDENCE,
+    confidence: CONFIDENCE,
+  },
+  required: ["found"],
+};
+
+/**
+ * The unverified last-resort guess
+ */
+export const GUESS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    email: { type: "STRING" },
+    agency_name: { type: "STRING", nullable: true },
+    confidence: CONFIDENCE,
+  },
+  required: ["email"],
+};
+
+export const EMAIL_BODY_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    subject: { type: "STRING" },
+    body: { type: "STRING" },
+  },
+  required: ["subject", "body"],
+};
+
+/**
+ * A revision: "to" is empty or one of the draft's verified candidates
+ */
+export const REVISION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    to: { type: "STRING" },
+    subject: { type: "STRING" },
+    body: { type: "STRING" },
+  },
+  required: ["to", "subject", "body"],
+};
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "string") return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+  return typeof value === "object" ? "an object" : String(value);
+}
+
+function coerce(value, schema, path, errors) {
+  const at = path || "response";
+  if (value === null || value === undefined) {
+    if (value === null && !schema.nullable) errors.push(`${at} must not be null`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case "OBJECT": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${at} must be an object, got ${describe(value)}`);
+        return value;
+      }
+      const result = { ...value };
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${path ? `${path}.` : ""}${key} is missing`);
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined) continue;
+        // An optional field sent as null is treated as left out
+        if (value[key] === null && !propSchema.nullable && !schema.required?.includes(key)) {
+          delete result[key];
+          continue;
+        }
+        result[key] = coerce(value[key], propSchema, path ? `${path}.${key}` : key, errors);
+      }
+      return result;
+    }
+    case "ARRAY":
+      if (!Array.isArray(value)) {
+        errors.push(`${at} must be a list, got ${describe(value)}`);
+        return value;
+      }
+      return value.map((item, i) => coerce(item, schema.items || {}, `${at}[${i}]`, errors));
+    case "NUMBER": {
+      // "0.8" → 0.8; out-of-range values are clamped rather than rejected
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || Number.isNaN(number)) {
+        errors.push(`${at} must be a number, got ${describe(value)}`);
+        return value;
+      }
+      return Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, number));
+    }
+    case "BOOLEAN":
+      if (typeof value === "boolean") return value;
+      if (/^(true|false)$/i.test(String(value).trim())) return String(value).trim().toLowerCase() === "true";
+      errors.push(`${at} must be true or false, got ${describe(value)}`);
+      return value;
+    case "STRING": {
+      if (typeof value === "object") {
+        errors.push(`${at} must be text, got ${describe(value)}`);
+        return value;
+      }
+      const text = String(value);
+      if (schema.enum) {
+        const match = schema.enum.find((option) => option.toLowerCase() === text.trim().toLowerCase());
+        if (!match) errors.push(`${at} must be one of ${schema.enum.join(", ")}, got ${describe(value)}`);
+        return match ?? text;
+      }
+      return text;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check `value` against `schema`, converting what can be converted without
+ * guessing (numeric strings, "true"/"false", numbers to text).
+ * Returns { value, errors }; `errors` are short lines like
+ * `confidence must be a number, got "high"`, ready to quote in a re-prompt.
+ */
+export function validateAndCoerce(value, schema) {
+  const errors = [];
+  const coerced = coerce(value, schema, "", errors);
+  return { value: coerced, errors };
+}
+
+/**
+ * The same schema as standard JSON Schema (lowercase types, nullable as a "null" type)
+ */
+export function toJSONSchema(schema) {
+  const type = schema.type?.toLowerCase();
+  const result = { type: schema.nullable ? [type, "null"] : type };
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, propSchema]) => [key, toJSONSchema(propSchema)])
+    );
+  }
+  if (schema.required) result.required = schema.required;
+  if (schema.items) result.items = toJSONSchema(schema.items);
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.minimum !== undefined) result.minimum = schema.minimum;
+  if (schema.maximum !== undefined) result.maximum = schema.maximum;
+  return result;
+}
@@ -0,0 +1,238 @@
+/**
+ * Local Open311 GeoReport v2 server for testing service requests.
+ *
+ *   npm run open311-stub            (listens on :4311, or OPEN311_STUB_PORT)
+ *
+ * Point OPEN311_ENDPOINT in config.js at http://<your LAN IP>:4311/open311/v2.
+ * Requests are kept in memory. POST /open311/v2/requests/<id>/close marks one
+ * closed so status tracking can be exercised.
+ */
+const http = require("http");
+
+const PORT = Number(process.env.OPEN311_STUB_PORT) || 4311;
+const BASE = "/open311/v2";
+
+const SERVICES = [
+  {
+    service_code: "POTHOLE",
+    service_name: "Pothole",
+    description: "Potholes and damaged pavement in the roadway",
+    keywords: "pothole, road, pavement, street",
+    group: "Streets",
+    metadata: false,
+    type: "realtime",
+  },
+  {
+    service_code: "STREETLIGHT",
+    service_name: "Streetlight Out",
+    description: "Streetlights that are out, flickering or damaged",
+    keywords: "streetlight, light, lamp",
+    group: "Utilities",
+    metadata: false,
+    type: "realtime",
+  },
+  {
+    service_code: "GRAFFITI",
+    service_name: "Graffiti Removal",
+    description: "Graffiti on public property",
+    keywords: "graffiti, vandalism, tagging",
+    group: "Code Enforcement",
+    metadata: false,
+    type: "realtime",
+  },
+  {
+    service_code: "DUMPING",
+    service_name: "Illegal Dumping",
+    description: "Trash, furniture or debris left on public property",
+    keywords: "trash, dumping, litter, debris",
+    group: "Environmental Services",
+    metadata: false,
+    type: "realtime",
+  },
+  {
+    service_code: "TREE",
+    service_name: "Tree Maintenance",
+    description: "Fallen trees, hanging branches and trimming requests",
+    keywords: "tree, branch, stump",
+    group: "Urban Forestry",
+    metadata: true,
+    type: "realtime",
+  },
+];
+
+const DEFINITIONS = {
+  TREE: {
+    service_code: "TREE",
+    attributes: [
+      {
+        variable: true,
+        code: "BLOCKING",
+        datatype: "singlevaluelist",
+        required: true,
+        order: 1,
+        description: "Is the tree blocking the road or sidewalk?",
+        values: [
+          { key: "yes", name: "Yes" },
+          { key: "no", name: "No" },
+        ],
+      },
+    ],
+  },
+};
+
+const requests = new Map();
+const media = new Map();
+let nextId = 1001;
+
+function send(res, status, body, contentType = "application/json") {
+  res.writeHead(status, { "Content-Type": contentType, "Access-Control-Allow-Origin": "*" });
+  res.end(contentType === "application/json" ? JSON.stringify(body, null, 2) : body);
+}
+
+function fail(res, status, description) {
+  send(res, status, [{ code: status, description }]);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse multipart or urlencoded form bodies with the built-in fetch Request
+ */
+async function readForm(req) {
+  const body = await readBody(req);
+  const request = new Request(`http://localhost${req.url}`, {
+    method: "POST",
+    headers: { "content-type": req.headers["content-type"] || "application/x-www-form-urlencoded" },
+    body,
+  });
+  return request.formData();
+}
+
+async function createRequest(req, res) {
+  let form;
+  try {
+    form = await readForm(req);
+  } catch (e) {
+    return fail(res, 400, `Could not parse the request body: ${e.message}`);
+  }
+
+  const serviceCode = form.get("service_code");
+  const service = SERVICES.find((s) => s.service_code === serviceCode);
+  if (!service) return fail(res, 404, `Unknown service_code "${serviceCode}"`);
+
+  const lat = form.get("lat");
+  const long = form.get("long");
+  if (!(lat && long) && !form.get("address_string") && !form.get("address_id")) {
+    return fail(res, 400, "A location is required (lat/long, address_string or address_id)");
+  }
+
+  const missing = (DEFINITIONS[serviceCode]?.attributes || []).filter(
+    (a) => a.required && !form.get(`attribute[${a.code}]`)
+  );
+  if (missing.length) {
+    return fail(res, 400, `Missing required attributes: ${missing.map((a) => a.code).join(", ")}`);
+  }
+
+  const id = String(nextId++);
+  const now = new Date().toISOString();
+  let mediaUrl = form.get("media_url") || null;
+  const file = form.get("media");
+  if (file && typeof file !== "string") {
+    media.set(id, { type: file.type || "image/jpeg", data: Buffer.from(await file.arrayBuffer()) });
+    mediaUrl = `http://${req.headers.host}/media/${id}`;
+  }
+
+  requests.set(id, {
+    service_request_id: id,
+    status: "open",
+    status_notes: null,
+    service_name: service.service_name,
+    service_code: serviceCode,
+    description: form.get("description") || "",
+    agency_responsible: service.group,
+    service_notice: null,
+    requested_datetime: now,
+    updated_datetime: now,
+    expected_datetime: null,
+    address: form.get("address_string") || null,
+    address_id: form.get("address_id") || null,
+    zipcode: null,
+    lat: lat ? Number(lat) : null,
+    long: long ? Number(long) : null,
+    media_url: mediaUrl,
+  });
+
+  console.log(`Created request ${id} (${serviceCode})${file ? " with media" : ""}`);
+  send(res, 201, [{ service_request_id: id, service_notice: `Thanks! ${service.group} will review your report.`, account_id: null }]);
+}
+
+const server = http.createServer(async (req, res) => {
+  const path = req.url.split("?")[0];
+  console.log(req.method, req.url);
+
+  try {
+    if (req.method === "GET" && path === `${BASE}/services.json`) {
+      return send(res, 200, SERVICES);
+    }
+
+    let match = path.match(new RegExp(`^${BASE}/services/([^/]+)\\.json$`));
+    if (req.method === "GET" && match) {
+      const definition = DEFINITIONS[match[1]];
+      return definition ? send(res, 200, definition) : fail(res, 404, `No definition for "${match[1]}"`);
+    }
+
+    if (req.method === "POST" && path === `${BASE}/requests.json`) {
+      return await createRequest(req, res);
+    }
+
+    if (req.method === "GET" && path === `${BASE}/requests.json`) {
+      // status and service_code filters; lat/long/radius are ignored like on many real servers
+      const query = new URLSearchParams(req.url.split("?")[1] || "");
+      const list = [...requests.values()].filter(
+        (r) =>
+          (!query.get("status") || r.status === query.get("status")) &&
+          (!query.get("service_code") || r.service_code === query.get("service_code"))
+      );
+      return send(res, 200, list);
+    }
+
+    match = path.match(new RegExp(`^${BASE}/requests/([^/]+)\\.json$`));
+    if (req.method === "GET" && match) {
+      const request = requests.get(match[1]);
+      return request ? send(res, 200, [request]) : fail(res, 404, `Service request ${match[1]} not found`);
+    }
+
+    match = path.match(new RegExp(`^${BASE}/requests/([^/]+)/close$`));
+    if (req.method === "POST" && match) {
+      const request = requests.get(match[1]);
+      if (!request) return fail(res, 404, `Service request ${match[1]} not found`);
+      Object.assign(request, {
+        status: "closed",
+        status_notes: "Resolved by the stub server.",
+        updated_datetime: new Date().toISOString(),
+      });
+      return send(res, 200, [request]);
+    }
+
+    match = path.match(/^\/media\/([^/]+)$/);
+    if (req.method === "GET" && match && media.has(match[1])) {
+      const { type, data } = media.get(match[1]);
+      return send(res, 200, data, type);
+    }
+
+    fail(res, 404, `No route for ${req.method} ${path}`);
+  } catch (e) {
+    fail(res, 500, e.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Open311 stub listening on http://localhost:${PORT}${BASE}`);
+});
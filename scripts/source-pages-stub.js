@@ -0,0 +1,131 @@
+/**
+ * Local web pages for testing evidence checks (evidence.js) without the internet.
+ *
+ *   npm run source-pages-stub       (listens on :4312, or SOURCE_PAGES_STUB_PORT)
+ *
+ * Every page is generated for the address in ?email= (default streets@mock-city.example.gov):
+ *
+ *   /page?email=...&show=text        the address in the page text
+ *   /page?email=...&show=mailto      only in a mailto: link
+ *   /page?email=...&show=at          written as "streets [at] mock-city [dot] example [dot] gov"
+ *   /page?email=...&show=cloudflare  hidden by Cloudflare email protection
+ *   /page?email=...&show=none        a department page without the address
+ *   /pdf                             a PDF (not checkable)
+ *   /slow                            answers after 15s (past the page timeout)
+ *   /endless?email=...               the address in the text, then filler that never ends
+ *   /large                           says it is 50 MB (over the 2 MB page limit)
+ *   /status/<code>                   an error page with that HTTP status
+ *   /redirect?to=<url>               302 to another URL
+ *
+ * evidence.js refuses localhost pages unless ALLOW_PRIVATE_SOURCE_PAGES is set
+ * in config.js. "localhost" is not an official domain either, so pages from
+ * here check as "unofficial" unless EXTRA_OFFICIAL_DOMAINS includes it.
+ *
+ * Tests start their own copy with createSourcePagesServer({ slowMs }).
+ */
+const http = require("http");
+
+const PORT = Number(process.env.SOURCE_PAGES_STUB_PORT) || 4312;
+const DEFAULT_EMAIL = "streets@mock-city.example.gov";
+
+function cloudflareHex(email) {
+  const key = 0x5a;
+  return [key, ...[...Buffer.from(email)].map((byte) => byte ^ key)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function contactLine(email, show) {
+  switch (show) {
+    case "mailto":
+      return `<a href="mailto:${email}">Email the department</a>`;
+    case "at":
+      return `Email: ${email.replace("@", " [at] ").replace(/\./g, " [dot] ")}`;
+    case "cloudflare": {
+      const hex = cloudflareHex(email);
+      return `Email: <a href="/cdn-cgi/l/email-protection" class="__cf_email__" data-cfemail="${hex}">[email&#160;protected]</a>`;
+    }
+    case "none":
+      return "Use the online form to reach this department.";
+    default:
+      return `Email: ${email}`;
+  }
+}
+
+function departmentPage(email, show) {
+  return `<!doctype html>
+<html>
+<head><title>Public Works | Mock City</title><style>.contact { color: #333; }</style></head>
+<body>
+  <h1>Public Works — Streets</h1>
+  <p>Report potholes, damaged sidewalks and streetlight outages.</p>
+  <p class="contact">${contactLine(email, show)}</p>
+  <script>var tracking = "noreply@analytics.example.com";</script>
+</body>
+</html>`;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+  res.end(body);
+}
+
+/**
+ * The stub as an unstarted http.Server; `slowMs` is how long /slow takes to answer
+ */
+function createSourcePagesServer({ slowMs = 15000 } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === "/page") {
+      const email = url.searchParams.get("email") || DEFAULT_EMAIL;
+      return send(res, 200, departmentPage(email, url.searchParams.get("show")));
+    }
+    if (url.pathname === "/pdf") {
+      return send(res, 200, "%PDF-1.4\n% stub\n", { "Content-Type": "application/pdf" });
+    }
+    if (url.pathname === "/slow") {
+      const timer = setTimeout(() => send(res, 200, departmentPage(DEFAULT_EMAIL, "text")), slowMs);
+      req.on("close", () => clearTimeout(timer));
+      return;
+    }
+    if (url.pathname === "/endless") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.write(departmentPage(url.searchParams.get("email") || DEFAULT_EMAIL, "text"));
+      const filler = `<p>${"Potholes and streetlights. ".repeat(2000)}</p>\n`;
+      let open = true;
+      const more = () => {
+        while (open && res.write(filler));
+      };
+      res.on("close", () => {
+        open = false;
+      });
+      res.on("error", () => {});
+      res.on("drain", more);
+      return more();
+    }
+    if (url.pathname === "/large") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Content-Length": 50 * 1024 * 1024 });
+      res.on("error", () => {});
+      return res.write(departmentPage(DEFAULT_EMAIL, "text"));
+    }
+    const status = url.pathname.match(/^\/status\/(\d{3})$/);
+    if (status) {
+      return send(res, Number(status[1]), `<h1>Error ${status[1]}</h1>`);
+    }
+    if (url.pathname === "/redirect" && url.searchParams.get("to")) {
+      return send(res, 302, "", { Location: url.searchParams.get("to") });
+    }
+    send(res, 404, "<h1>Not found</h1>");
+  });
+}
+
+module.exports = { createSourcePagesServer };
+
+if (require.main === module) {
+  const server = createSourcePagesServer();
+  server.on("request", (req) => console.log(req.method, req.url));
+  server.listen(PORT, () => {
+    console.log(`Source pages stub listening on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * The app's config.js as seen by the routing modules on the server: the same
+ * settings, except that the provider and its keys come from the environment.
+ * server/loader.mjs substitutes this module for config.js.
+ */
+import * as app from "../config.js";
+
+export * from "../config.js";
+
+const env = process.env;
+
+export const LLM_PROVIDER = env.LLM_PROVIDER || "gemini";
+
+export const GEMINI_API_KEY = env.GEMINI_API_KEY || "";
+export const GEMINI_MODEL = env.GEMINI_MODEL || app.GEMINI_MODEL;
+
+export const OPENAI_BASE_URL = env.OPENAI_BASE_URL || app.OPENAI_BASE_URL;
+export const OPENAI_API_KEY = env.OPENAI_API_KEY || "";
+export const OPENAI_MODEL = env.OPENAI_MODEL || app.OPENAI_MODEL;
+
+export const OLLAMA_URL = env.OLLAMA_URL || app.OLLAMA_URL;
+export const OLLAMA_MODEL = env.OLLAMA_MODEL || app.OLLAMA_MODEL;
+
+// Recorded fixtures would accumulate for every device's reports
+export const RECORD_FIXTURES = false;
+
+// Source pages are fetched from the server's network, never the app's setting
+export const ALLOW_PRIVATE_SOURCE_PAGES = false;
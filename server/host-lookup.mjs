@@ -0,0 +1,11 @@
+/**
+ * host-lookup.js on the routing proxy: every address the system resolver
+ * returns for a host, so a public-looking name that points at the server's
+ * own network is refused. server/loader.mjs substitutes this module.
+ */
+import { lookup } from "node:dns/promises";
+
+export async function lookupHost(host) {
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  return addresses.map((entry) => entry.address);
+}
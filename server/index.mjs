@@ -0,0 +1,302 @@
+/**
+ * Routing proxy: runs the drafting pipeline (gemini.js) on a server so the
+ * provider API key stays in the server environment instead of the app bundle.
+ *
+ *   GEMINI_API_KEY=... npm run server     (listens on :4320, or PORT)
+ *
+ * Set API_MODE = "proxy" and PROXY_URL in the app's config.js to use it.
+ *
+ *   POST /draft    { report, timeoutMs }     → generateEmailDraft
+ *   POST /refresh  { report, timeoutMs }     → refreshContact (routing only, no redraft)
+ *   POST /revise   { revision, timeoutMs }   → reviseEmailDraft
+ *   POST /council  { lookup, timeoutMs }     → suggestCouncilMember
+ *   POST /topic    { description, image }    → { topic } (duplicate check)
+ *   GET  /health
+ *
+ * POST responses are NDJSON: progress events as generateEmailDraft emits them
+ * ({ type: "step" } / { type: "draft_text" }), then one { type: "result", result }
+ * or { type: "error", error, trace } line. Closing the connection cancels the run.
+ *
+ * Bodies over 10 MB get a 413 and malformed ones (a report, revision or lookup
+ * of the wrong shape) a 400, before any NDJSON is written.
+ *
+ * Requests are limited per client IP over a sliding hour (not per device: any
+ * id the client sends is its own choice); over the limit the server answers 429
+ * with Retry-After. One JSON log line is written per request; report text is
+ * never logged.
+ *
+ * Validated routing results are cached in ROUTE_CACHE_FILE for every device;
+ * { refreshRouting: true } on /draft bypasses and replaces the cached entry.
+ */
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+import { generateEmailDraft, refreshContact, reviseEmailDraft, suggestCouncilMember, extractTopic } from "../gemini.js";
+import { LLM_PROVIDER, GEMINI_API_KEY } from "../config.js";
+import { createRouteCache, ROUTE_CACHE_TTL_MS } from "../route-cache.js";
+import { fileStorage } from "./storage.mjs";
+
+const env = process.env;
+const PORT = Number(env.PORT) || 4320;
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_DEADLINE_MS = Number(env.MAX_DEADLINE_MS) || 120000;
+
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const IP_LIMIT = Number(env.RATE_LIMIT_PER_IP) || 120;
+// Only behind a reverse proxy that sets X-Forwarded-For; otherwise clients could pick their own IP
+const TRUST_PROXY = env.TRUST_PROXY === "1";
+
+const routeCache = createRouteCache(
+  fileStorage(env.ROUTE_CACHE_FILE || fileURLToPath(new URL("./route-cache.json", import.meta.url))),
+  { ttlMs: Number(env.ROUTE_CACHE_TTL_HOURS) * 60 * 60 * 1000 || ROUTE_CACHE_TTL_MS }
+);
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const hits = new Map();
+
+function recentHits(key, now) {
+  const recent = (hits.get(key) || []).filter((time) => now - time < RATE_WINDOW_MS);
+  hits.set(key, recent);
+  return recent;
+}
+
+/**
+ * Count a request against its IP, or throw a 429 with the wait until the
+ * oldest hit in the window expires
+ */
+function takeRequest(ip, now = Date.now()) {
+  const recent = recentHits(ip, now);
+  if (recent.length >= IP_LIMIT) {
+    const seconds = Math.ceil((RATE_WINDOW_MS - (now - recent[0])) / 1000);
+    throw new HttpError(429, `Too many requests from this address; try again in ${seconds}s`, {
+      "Retry-After": String(seconds),
+    });
+  }
+  recent.push(now);
+}
+
+// Forget clients that have been quiet for a whole window
+setInterval(() => {
+  const now = Date.now();
+  for (const key of hits.keys()) {
+    if (!recentHits(key, now).length) hits.delete(key);
+  }
+}, RATE_WINDOW_MS).unref();
+
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers["x-forwarded-for"];
+  return forwarded ? forwarded.split(",")[0].trim() : req.socket.remoteAddress;
+}
+
+/**
+ * Read a JSON body. Past MAX_BODY_BYTES it rejects with a 413 and keeps reading
+ * (and dropping) the rest, so the client gets the 413 instead of a reset connection.
+ */
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (tooLarge) return;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body is over ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (e) {
+        reject(new HttpError(400, `Request body is not JSON: ${e.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * The fields of an errors.js error that api.js needs to rebuild it
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status ?? null,
+    retryAfterMs: error.retryAfterMs ?? null,
+    reason: error.reason ?? null,
+  };
+}
+
+function deadline(body) {
+  return Math.min(Number(body.timeoutMs) || MAX_DEADLINE_MS, MAX_DEADLINE_MS);
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const isString = (value) => typeof value === "string";
+const isLocation = (value) => isObject(value) && Number.isFinite(value.latitude) && Number.isFinite(value.longitude);
+const isImage = (value) => isObject(value) && isString(value.mimeType) && isString(value.data);
+
+/**
+ * Throw a 400 naming the first field of `value` that is set but fails its check
+ * ({ field: check }); `value` itself must be an object
+ */
+function checkFields(name, value, checks) {
+  if (!isObject(value)) throw new HttpError(400, `${name} must be an object`);
+  for (const [field, check] of Object.entries(checks)) {
+    if (value[field] !== undefined && value[field] !== null && !check(value[field])) {
+      throw new HttpError(400, `${name}.${field} is not valid`);
+    }
+  }
+}
+
+const REPORT_FIELDS = {
+  description: isString,
+  topic: isString,
+  jurisdictionId: isString,
+  location: isLocation,
+  image: isImage,
+  relatedRequest: isObject,
+};
+
+/**
+ * Body checks run before the response starts, so a malformed body is a plain
+ * 400 rather than an error deep in the pipeline
+ */
+const BODY_CHECKS = {
+  "/draft": (body) => checkFields("report", body.report, REPORT_FIELDS),
+  "/refresh": (body) => checkFields("report", body.report, REPORT_FIELDS),
+  "/revise": (body) => {
+    checkFields("revision", body.revision, {
+      draft: isObject,
+      currentTo: isString,
+      currentSubject: isString,
+      currentBody: isString,
+      suggestion: isString,
+    });
+    if (!isObject(body.revision.draft)) throw new HttpError(400, "revision.draft must be an object");
+  },
+  "/council": (body) => checkFields("lookup", body.lookup, { jurisdiction: isString, topic: isString, location: isLocation }),
+  "/topic": (body) => checkFields("body", body, { description: isString, image: isImage }),
+};
+
+const ROUTES = {
+  "/draft": (body, { signal, onProgress }) =>
+    generateEmailDraft(body.report, {
+      signal,
+      onProgress,
+      timeoutMs: deadline(body),
+      routeCache,
+      refreshRouting: body.refreshRouting === true,
+    }),
+  "/refresh": (body, { signal, onProgress }) =>
+    refreshContact(body.report, { signal, onProgress, timeoutMs: deadline(body), routeCache }),
+  "/revise": (body, { signal }) => reviseEmailDraft(body.revision, { signal, timeoutMs: deadline(body) }),
+  "/council": (body, { signal }) => suggestCouncilMember(body.lookup, { signal, timeoutMs: deadline(body) }),
+  "/topic": async (body, { signal }) => ({
+    topic: await extractTopic(body.description || "", body.image || null, null, signal),
+  }),
+};
+
+/**
+ * Run a route and stream its progress and outcome as NDJSON. Returns the outcome for the log.
+ */
+async function streamRoute(route, body, res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  res.writeHead(200, { "Content-Type": "application/x-ndjson", "Cache-Control": "no-cache", ...CORS_HEADERS });
+  const write = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  try {
+    const result = await route(body, { signal: controller.signal, onProgress: write });
+    write({ type: "result", result });
+    return "ok";
+  } catch (error) {
+    if (controller.signal.aborted) return "cancelled";
+    write({ type: "error", error: serializeError(error), trace: error.trace ?? null });
+    return error.name;
+  } finally {
+    res.end();
+  }
+}
+
+async function handle(req, res, log) {
+  const path = req.url.split("?")[0];
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method === "GET" && path === "/health") {
+    return sendJSON(res, 200, { ok: true, provider: LLM_PROVIDER });
+  }
+
+  const route = ROUTES[path];
+  if (req.method !== "POST" || !route) throw new HttpError(404, `No route for ${req.method} ${path}`);
+
+  takeRequest(log.ip);
+
+  const body = await readJSON(req);
+  if (!isObject(body)) throw new HttpError(400, "Request body must be a JSON object");
+  BODY_CHECKS[path](body);
+  log.outcome = await streamRoute(route, body, res);
+}
+
+const server = http.createServer(async (req, res) => {
+  const started = Date.now();
+  const log = { route: `${req.method} ${req.url.split("?")[0]}`, ip: clientIp(req), outcome: null };
+
+  try {
+    await handle(req, res, log);
+  } catch (e) {
+    log.outcome = e instanceof HttpError ? `http_${e.status}` : "server_error";
+    if (!res.headersSent) {
+      sendJSON(res, e.status || 500, { error: e.message }, e.headers);
+    } else {
+      res.end();
+    }
+  }
+
+  console.log(
+    JSON.stringify({
+      time: new Date(started).toISOString(),
+      ...log,
+      status: res.statusCode,
+      ms: Date.now() - started,
+    })
+  );
+});
+
+if (LLM_PROVIDER === "gemini" && !GEMINI_API_KEY) {
+  console.error("GEMINI_API_KEY is not set. Export it (or set LLM_PROVIDER=mock) before starting the server.");
+  process.exit(1);
+}
+
+server.listen(PORT, () => {
+  console.log(`Routing proxy (${LLM_PROVIDER}) listening on http://localhost:${PORT}`);
+});
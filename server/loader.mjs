@@ -0,0 +1,45 @@
+/**
+ * Module hooks that let Node run the app's routing modules unchanged.
+ *
+ * The app's .js files are ES modules bundled by Metro, but package.json has no
+ * "type": "module", so Node would read them as CommonJS. These hooks load every
+ * .js file in the project (outside node_modules) as ESM, turn .json imports
+ * into a default export, and swap in the server's versions of a few modules:
+ * config.js for server/config.mjs so provider keys come from the server
+ * environment, and host-lookup.js for server/host-lookup.mjs so source pages
+ * are checked against DNS.
+ */
+import { readFile } from "node:fs/promises";
+
+const ROOT = new URL("../", import.meta.url).href;
+const SERVER_CONFIG = new URL("./config.mjs", import.meta.url).href;
+
+const SUBSTITUTES = {
+  [new URL("../config.js", import.meta.url).href]: SERVER_CONFIG,
+  [new URL("../host-lookup.js", import.meta.url).href]: new URL("./host-lookup.mjs", import.meta.url).href,
+};
+
+function isProjectFile(url) {
+  return url.startsWith(ROOT) && !url.includes("/node_modules/");
+}
+
+export async function resolve(specifier, context, next) {
+  const resolved = await next(specifier, context);
+  const substitute = SUBSTITUTES[resolved.url];
+  // server/config.mjs itself re-exports the app's config
+  if (substitute && context.parentURL !== substitute) {
+    return { ...resolved, url: substitute, shortCircuit: true };
+  }
+  return resolved;
+}
+
+export async function load(url, context, next) {
+  if (isProjectFile(url) && url.endsWith(".json") && !url.endsWith("package.json")) {
+    const text = await readFile(new URL(url), "utf8");
+    return { format: "module", source: `export default ${text};`, shortCircuit: true };
+  }
+  if (isProjectFile(url) && url.endsWith(".js")) {
+    return { format: "module", source: await readFile(new URL(url), "utf8"), shortCircuit: true };
+  }
+  return next(url, context);
+}
@@ -0,0 +1,4 @@
+// Loaded with `node --import ./server/register.mjs` before the server starts
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
@@ -0,0 +1,52 @@
+/**
+ * An AsyncStorage-style getItem / setItem over one JSON file, so modules
+ * written for the app (route-cache.js) can persist on the server
+ */
+import { readFile, writeFile, rename, rm } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+
+export function fileStorage(path) {
+  async function readAll() {
+    try {
+      return JSON.parse(await readFile(path, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return {};
+      throw e;
+    }
+  }
+
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Run read-modify-write operations one at a time, so concurrent requests
+   * can't drop each other's keys (as in history.js)
+   */
+  function serialized(operation) {
+    const result = pendingWrite.then(operation);
+    pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    async getItem(key) {
+      return (await readAll())[key] ?? null;
+    },
+
+    setItem(key, value) {
+      return serialized(async () => {
+        const all = await readAll();
+        all[key] = value;
+        // Write a temp file of its own, then rename, so a crash mid-write never
+        // leaves a truncated file and no other write can rename it half-written
+        const temp = `${path}.${process.pid}.${randomUUID()}.tmp`;
+        try {
+          await writeFile(temp, JSON.stringify(all));
+          await rename(temp, path);
+        } catch (e) {
+          await rm(temp, { force: true });
+          throw e;
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Streaming HTTP helpers for the providers, plus reading a JSON string field
+ * out of a response that is still arriving.
+ *
+ * React Native's fetch can't read a response body incrementally, so on device
+ * the request goes through XMLHttpRequest, whose responseText grows with each
+ * progress event. Elsewhere (web, Node) fetch's body reader is used.
+ */
+
+import { httpError, NetworkError } from "./errors.js";
+
+const isReactNative = typeof navigator !== "undefined" && navigator.product === "ReactNative";
+
+function abortError() {
+  const error = new Error("The request was aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Split arriving text into lines; the last, unfinished line waits for more
+ */
+function lineSplitter(onLine) {
+  let buffer = "";
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) onLine(line.replace(/\r$/, ""));
+    },
+    end() {
+      if (buffer) onLine(buffer.replace(/\r$/, ""));
+      buffer = "";
+    },
+  };
+}
+
+function xhrLines(label, url, { method = "POST", headers = {}, body, signal }, onLine) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const xhr = new XMLHttpRequest();
+    const lines = lineSplitter(onLine);
+    let seen = 0;
+    let failed = false;
+
+    const feed = () => {
+      const text = xhr.responseText || "";
+      const chunk = text.slice(seen);
+      seen = text.length;
+      try {
+        if (chunk) lines.push(chunk);
+      } catch (e) {
+        failed = true;
+        xhr.abort();
+        reject(e);
+      }
+    };
+    const onAbort = () => xhr.abort();
+
+    xhr.open(method, url);
+    for (const [key, value] of Object.entries(headers)) xhr.setRequestHeader(key, value);
+    xhr.onprogress = () => {
+      if (xhr.status < 400) feed();
+    };
+    xhr.onload = () => {
+      signal?.removeEventListener("abort", onAbort);
+      if (failed) return;
+      if (xhr.status >= 400) {
+        return reject(httpError(label, xhr.status, xhr.responseText, xhr.getResponseHeader("Retry-After")));
+      }
+      feed();
+      try {
+        lines.end();
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    };
+    xhr.onerror = () => reject(new NetworkError(`${label} request failed: no connection`));
+    xhr.onabort = () => {
+      if (!failed) reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    xhr.send(body);
+  });
+}
+
+async function fetchLines(label, url, { method = "POST", headers = {}, body, signal }, onLine) {
+  let response;
+  try {
+    response = await fetch(url, { method, headers, body, signal });
+  } catch (e) {
+    throw e.name === "AbortError" ? e : new NetworkError(`${label} request failed: ${e.message}`);
+  }
+  if (!response.ok) {
+    throw httpError(label, response.status, await response.text(), response.headers.get("Retry-After"));
+  }
+
+  const lines = lineSplitter(onLine);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      lines.push(decoder.decode(value, { stream: true }));
+    }
+    lines.push(decoder.decode());
+    lines.end();
+  } catch (e) {
+    reader.cancel().catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * POST a JSON body and call `onLine` with each line of the response as it
+ * arrives (SSE "data:" lines or NDJSON). Resolves when the response ends.
+ * Failures throw the errors.js type for the HTTP status, or a NetworkError.
+ */
+export function streamLines(label, url, { body, headers = {}, signal }, onLine) {
+  const init = {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  };
+  return isReactNative ? xhrLines(label, url, init, onLine) : fetchLines(label, url, init, onLine);
+}
+
+/**
+ * One streamed JSON object (an NDJSON line or SSE payload). A line that doesn't
+ * parse means the stream arrived garbled, so it throws a NetworkError.
+ */
+export function parseStreamJSON(label, text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new NetworkError(`${label} stream sent an unreadable line: ${e.message}`);
+  }
+}
+
+/**
+ * The payload of an SSE "data:" line, or null for other lines and "[DONE]"
+ */
+export function sseData(label, line) {
+  if (!line.startsWith("data:")) return null;
+  const data = line.slice(5).trim();
+  return data && data !== "[DONE]" ? parseStreamJSON(label, data) : null;
+}
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+
+/**
+ * The value of the string field `key` in JSON that may still be incomplete,
+ * as far as it has arrived ("" when the field hasn't started yet).
+ * Used to show the email body while the model is still writing it.
+ */
+export function partialJsonString(raw, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(raw || "");
+  if (!match) return "";
+  let value = "";
+  for (let i = match.index + match[0].length; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch === '"') break;
+    if (ch !== "\\") {
+      value += ch;
+      continue;
+    }
+    const next = raw[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = raw.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return value;
+}
@@ -0,0 +1,113 @@
+/**
+ * Structured trace of one routing pipeline run.
+ *
+ * A trace is a list of steps (location, topic, directory, each search pass, DNS,
+ * drafting). Each step records its model calls — prompt, raw response, parsed
+ * JSON, error, retry reason and latency — plus which validation rule rejected
+ * its candidate, if any. Everything is plain JSON so it can be exported as-is.
+ *
+ * `onProgress` is called with { type: "step", name, label, status } whenever a
+ * step starts or ends, so the loading screen can follow the run live. It is
+ * kept off the exported JSON.
+ */
+
+export function createTrace({ onProgress = null } = {}) {
+  const trace = {
+    id: `t_${Date.now().toString(36)}`,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    total_ms: null,
+    error: null,
+    steps: [],
+  };
+  Object.defineProperty(trace, "onProgress", { value: onProgress });
+  return trace;
+}
+
+/**
+ * Pass a progress event to the trace's listener; a failing listener never breaks the run
+ */
+export function emitProgress(trace, event) {
+  if (!trace?.onProgress) return;
+  try {
+    trace.onProgress(event);
+  } catch (e) {
+    console.warn("Progress listener failed:", e);
+  }
+}
+
+function emitStep(trace, step) {
+  emitProgress(trace, { type: "step", name: step.name, label: step.label, status: step.status });
+}
+
+/**
+ * Close the trace, noting the error that ended the run if there was one
+ */
+export function finishTrace(trace, error = null) {
+  trace.finished_at = new Date().toISOString();
+  trace.total_ms = Date.parse(trace.finished_at) - Date.parse(trace.started_at);
+  trace.error = error ? error.message : null;
+  return trace;
+}
+
+/**
+ * Add a running step. `trace` may be null, in which case the step is recorded nowhere.
+ */
+export function startStep(trace, name, label) {
+  const step = {
+    name,
+    label,
+    status: "running",
+    started_at: new Date().toISOString(),
+    latency_ms: null,
+    calls: [],
+    validation: null,
+    result: null,
+    error: null,
+  };
+  Object.defineProperty(step, "trace", { value: trace });
+  trace?.steps.push(step);
+  emitStep(trace, step);
+  return step;
+}
+
+/**
+ * Mark a step finished. Status is "ok", "hit", "miss", "rejected", "skipped", "failed" or "cancelled".
+ */
+export function endStep(step, status, fields = {}) {
+  Object.assign(step, fields, { status, latency_ms: Date.now() - Date.parse(step.started_at) });
+  emitStep(step.trace, step);
+  return step;
+}
+
+/**
+ * Run `fn(step)` as a traced step; it may end the step itself with a specific status
+ */
+export async function traced(trace, name, label, fn) {
+  const step = startStep(trace, name, label);
+  try {
+    const outcome = await fn(step);
+    if (step.status === "running") endStep(step, "ok");
+    return outcome;
+  } catch (e) {
+    endStep(step, e.name === "AbortError" ? "cancelled" : "failed", { error: e.message });
+    throw e;
+  }
+}
+
+/**
+ * Record one model request inside a step (no-op object when there is no step)
+ */
+export function startCall(step, fields) {
+  const call = { ...fields, started_at: new Date().toISOString(), latency_ms: null };
+  step?.calls.push(call);
+  return call;
+}
+
+/**
+ * Finish a model request record; the first outcome wins
+ */
+export function endCall(call, fields) {
+  if (call.latency_ms !== null) return;
+  Object.assign(call, fields, { latency_ms: Date.now() - Date.parse(call.started_at) });
+}
@@ -0,0 +1,125 @@
+import defaultRules from "./data/triage-rules.json";
+
+/**
+ * Urgency triage, run on a report before any routing. Purely rule-based
+ * (data/triage-rules.json) so it works offline and gives the same answer every time.
+ *
+ * Each rule matches the description and topic by regex (`pattern`,
+ * case-insensitive) and sets a `level` ("emergency" or "urgent") and a
+ * `hazard` kind. An `unless` substring only excuses the match it overlaps
+ * ("fire station" excuses its own "fire", not "on fire" elsewhere), so the rule
+ * still fires on any other match. The most severe matching rule decides the
+ * report's level; with no match it is "routine".
+ *
+ * Emergencies skip the email pipeline: the app offers phone lines instead.
+ */
+
+export const TRIAGE_LEVELS = ["routine", "urgent", "emergency"];
+
+const EMERGENCY_NUMBER = "911";
+
+const compiled = new WeakMap();
+
+function compile(rules) {
+  if (!compiled.has(rules)) {
+    compiled.set(
+      rules,
+      (rules.rules || []).map((rule) => ({
+        ...rule,
+        regex: new RegExp(rule.pattern, "gi"),
+        unless: (rule.unless || []).map((u) => u.toLowerCase()),
+      }))
+    );
+  }
+  return compiled.get(rules);
+}
+
+function overlaps(text, phrase, start, end) {
+  for (let i = text.indexOf(phrase); i !== -1; i = text.indexOf(phrase, i + 1)) {
+    if (i < end && i + phrase.length > start) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether any match of the rule's pattern is not excused by an `unless` phrase overlapping it
+ */
+function fires(rule, text) {
+  for (const match of text.matchAll(rule.regex)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (!rule.unless.some((u) => overlaps(text, u, start, end))) return true;
+  }
+  return false;
+}
+
+/**
+ * Classify a report: { level, hazard, reasons, matched, rules_version }.
+ * `matched` lists the ids of every rule that fired, most severe first.
+ */
+export function triageReport({ description, topic = null }, rules = defaultRules) {
+  const text = [description, topic].filter(Boolean).join("\n").toLowerCase();
+  const hits = compile(rules)
+    .filter((rule) => fires(rule, text))
+    .sort((a, b) => TRIAGE_LEVELS.indexOf(b.level) - TRIAGE_LEVELS.indexOf(a.level));
+
+  return {
+    level: hits[0]?.level || "routine",
+    hazard: hits[0]?.hazard || null,
+    reasons: hits.map((rule) => rule.reason || rule.id),
+    matched: hits.map((rule) => rule.id),
+    rules_version: rules.version || null,
+  };
+}
+
+/**
+ * A profile phone line as offered, or null while nobody has checked the number
+ * against the agency's own page (`last_verified` and `source_url` both set)
+ */
+function checkedLine(id, line) {
+  if (!line?.last_verified || !line.source_url) return null;
+  return {
+    id,
+    name: line.name,
+    phone: line.phone,
+    source_title: line.source_title || null,
+    source_url: line.source_url,
+    last_verified: line.last_verified,
+  };
+}
+
+/**
+ * Phone lines to offer for a triaged report, most appropriate first:
+ * [{ id, name, phone, source_title, source_url, last_verified }]. Emergencies
+ * start with 911; the profile's utility hazard line is included when it handles
+ * this kind of hazard, and its police non-emergency line for anything above
+ * routine. Profile lines nobody has checked are left out rather than shown
+ * with a warning, so an emergency may offer 911 alone.
+ */
+export function hazardLines(triage, profile) {
+  if (!triage || triage.level === "routine") return [];
+  const lines = [];
+  if (triage.level === "emergency") {
+    lines.push({
+      id: "emergency",
+      name: "Emergency services",
+      phone: EMERGENCY_NUMBER,
+      source_title: null,
+      source_url: null,
+      last_verified: null,
+    });
+  }
+  const utility = profile?.phone_lines?.utility_hazard;
+  if (utility && utility.hazards.includes(triage.hazard)) {
+    lines.push(checkedLine("utility_hazard", utility));
+  }
+  lines.push(checkedLine("police_non_emergency", profile?.phone_lines?.police_non_emergency));
+  return lines.filter(Boolean);
+}
+
+/**
+ * A tel: URL for a displayed phone number ("650-329-2413" → "tel:6503292413")
+ */
+export function telURL(phone) {
+  return `tel:${phone.replace(/[^\d+]/g, "")}`;
+}